@@ -0,0 +1,126 @@
+const { dbHelpers } = require('./database');
+const { storage } = require('./storage');
+const { notFound } = require('./errors');
+const { closeSession } = require('./realtime');
+const membership = require('./membership');
+const calls = require('./calls');
+
+// Account deletion and data export. Deleting an account removes the user
+// from every chat (handing over or dissolving what they own, see
+// dbHelpers.deleteUser) and signs out all their devices; an export is a
+// tar.gz of everything the account holds.
+
+const EXPORT_FILE_NAME_LENGTH = 50;
+
+async function deleteAccount(userId, { anonymize = false } = {}) {
+    if (!(await dbHelpers.getUserById(userId))) {
+        throw notFound('User not found');
+    }
+
+    // Wrap up a call in progress while both parties still exist
+    await calls.handleDisconnect(userId);
+    const sessions = await dbHelpers.getUserSessions(userId);
+
+    const result = await dbHelpers.deleteUser(userId, { anonymize: !!anonymize });
+
+    sessions.forEach(session => closeSession(userId, session.id));
+    for (const chat of result.transferred) {
+        await membership.notify(chat, 'ownership_transferred', { from: userId, to: chat.ownerId });
+    }
+    for (const chat of result.left) {
+        await membership.notify(chat, 'account_deleted', { userId, anonymized: !!anonymize });
+    }
+
+    // Files go last, a failed removal only leaves an orphaned blob behind
+    for (const key of result.storageKeys) {
+        await storage.remove(key).catch(error => console.error('Remove file error:', error));
+    }
+}
+
+function toJson(value) {
+    return Buffer.from(JSON.stringify(value, null, 2));
+}
+
+function readBlob(key) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        storage.createReadStream(key)
+            .on('data', chunk => chunks.push(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(Buffer.concat(chunks)));
+    });
+}
+
+// Archive entry name for an uploaded file, short and ASCII only
+function mediaPath({ id, file_name }) {
+    const name = (file_name || 'file').replace(/[^\w.-]+/g, '_').slice(-EXPORT_FILE_NAME_LENGTH);
+    return `media/${id}-${name}`;
+}
+
+async function getAllCalls(userId) {
+    const history = [];
+    let before;
+    for (;;) {
+        const page = await dbHelpers.getCallHistory(userId, { before, limit: 100 });
+        history.push(...page.calls);
+        if (!page.has_more) return history;
+        before = page.calls[page.calls.length - 1].started_at;
+    }
+}
+
+// Write a user's data to an archive from archive.js:
+//   profile.json   profile, privacy settings, sessions, contacts and blocks
+//   chats/*.json   each conversation, group and channel with its history
+//   calls.json     call history
+//   media.json     the user's uploads, stored under media/
+async function exportAccount(userId, archive) {
+    const profile = await dbHelpers.getFullUser(userId);
+    if (!profile) {
+        throw notFound('User not found');
+    }
+
+    await archive.addFile('profile.json', toJson({
+        exported_at: new Date().toISOString(),
+        profile,
+        sessions: await dbHelpers.getUserSessions(userId),
+        contacts: await dbHelpers.getContacts(userId),
+        blocked: await dbHelpers.getBlockedUsers(userId)
+    }));
+
+    const chats = [
+        ...(await dbHelpers.getConversations(userId)).map(chat => ({ chatType: 'conversation', chat })),
+        ...(await dbHelpers.getConversations(userId, { requests: true })).map(chat => ({ chatType: 'conversation', chat })),
+        ...(await dbHelpers.getUserGroups(userId)).map(chat => ({ chatType: 'group', chat })),
+        ...(await dbHelpers.getUserChannels(userId)).map(chat => ({ chatType: 'channel', chat }))
+    ];
+    for (const { chatType, chat } of chats) {
+        const messages = await dbHelpers.getChatHistory(chatType, chat.id, userId);
+        await archive.addFile(`chats/${chatType}-${chat.id}.json`, toJson({ chat_type: chatType, chat, messages }));
+    }
+
+    await archive.addFile('calls.json', toJson(await getAllCalls(userId)));
+
+    // A file missing from storage is listed without a path
+    const media = [];
+    for (const { storage_key: storageKey, ...file } of await dbHelpers.getUserAttachments(userId)) {
+        let data;
+        try {
+            data = await readBlob(storageKey);
+        } catch (error) {
+            console.error('Export file error:', error);
+            media.push({ ...file, path: null });
+            continue;
+        }
+        const path = mediaPath(file);
+        await archive.addFile(path, data, Date.parse(file.created_at) || Date.now());
+        media.push({ ...file, path });
+    }
+    await archive.addFile('media.json', toJson(media));
+
+    await archive.finish();
+}
+
+module.exports = {
+    deleteAccount,
+    exportAccount
+};
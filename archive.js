@@ -0,0 +1,75 @@
+const zlib = require('zlib');
+
+// Minimal writer for gzipped tar (ustar) archives, used for downloads such as
+// account exports. Files are written one at a time as they are added, so an
+// archive is never held in memory whole:
+//   const archive = createTarGzStream();
+//   archive.stream.pipe(res);
+//   await archive.addFile('profile.json', buffer);
+//   await archive.finish();
+// Entry names must be ASCII and at most 100 bytes long.
+
+const BLOCK_SIZE = 512;
+
+function octal(value, length) {
+    return value.toString(8).padStart(length - 1, '0') + '\0';
+}
+
+function entryHeader(name, size, mtime) {
+    const header = Buffer.alloc(BLOCK_SIZE);
+    header.write(name, 0, 100, 'ascii');
+    header.write(octal(0o644, 8), 100); // mode
+    header.write(octal(0, 8), 108); // uid
+    header.write(octal(0, 8), 116); // gid
+    header.write(octal(size, 12), 124);
+    header.write(octal(Math.floor(mtime / 1000), 12), 136);
+    header.fill(' ', 148, 156); // the checksum field counts as spaces while summing
+    header.write('0', 156); // regular file
+    header.write('ustar\u000000', 257);
+
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    header.write(octal(checksum, 7) + ' ', 148);
+    return header;
+}
+
+function createTarGzStream() {
+    const gzip = zlib.createGzip();
+
+    // Respect backpressure, and give up once the reader has gone away
+    function write(chunk) {
+        if (gzip.destroyed) {
+            return Promise.reject(new Error('Archive stream closed'));
+        }
+        if (gzip.write(chunk)) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => {
+            const onDrain = () => { gzip.off('close', onClose); resolve(); };
+            const onClose = () => { gzip.off('drain', onDrain); reject(new Error('Archive stream closed')); };
+            gzip.once('drain', onDrain);
+            gzip.once('close', onClose);
+        });
+    }
+
+    return {
+        stream: gzip,
+
+        async addFile(name, data, mtime = Date.now()) {
+            await write(entryHeader(name, data.length, mtime));
+            await write(data);
+            const padding = (BLOCK_SIZE - data.length % BLOCK_SIZE) % BLOCK_SIZE;
+            if (padding > 0) {
+                await write(Buffer.alloc(padding));
+            }
+        },
+
+        // Two empty blocks end a tar archive
+        async finish() {
+            await write(Buffer.alloc(BLOCK_SIZE * 2));
+            gzip.end();
+        }
+    };
+}
+
+module.exports = { createTarGzStream };
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { imageSize } = require('image-size');
+const { dbHelpers } = require('./database');
+const { storage } = require('./storage');
+const { badRequest, notFound } = require('./errors');
+const { PermissionError, assertChatMember } = require('./permissions');
+
+// Largest accepted upload in bytes
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE, 10) || 25 * 1024 * 1024;
+
+// Message type a file makes when it is sent
+function messageTypeFor(mimeType) {
+    if (mimeType.startsWith('image/')) return 'image';
+    if (mimeType.startsWith('audio/')) return 'voice';
+    if (mimeType.startsWith('video/')) return 'video';
+    return 'file';
+}
+
+function imageDimensions(buffer) {
+    try {
+        const { width, height } = imageSize(buffer);
+        return { width, height };
+    } catch (error) {
+        return { width: null, height: null };
+    }
+}
+
+// Store an uploaded file (a multer file object) for a chat, or as a public
+// profile file when chatType is 'profile'. Audio/video duration comes from
+// the client since the server does not decode media.
+async function storeUpload(userId, { chatType, chatId }, file, { duration } = {}) {
+    if (chatType === 'profile') {
+        chatId = userId;
+    } else {
+        await assertChatMember(userId, chatType, chatId);
+    }
+
+    const mimeType = file.mimetype || 'application/octet-stream';
+    const kind = messageTypeFor(mimeType);
+    const { width, height } = kind === 'image' ? imageDimensions(file.buffer) : {};
+    const seconds = parseFloat(duration);
+
+    const storageKey = uuidv4();
+    await storage.save(storageKey, file.buffer);
+
+    return dbHelpers.createAttachment({
+        uploaderId: userId,
+        chatType,
+        chatId,
+        storageKey,
+        fileName: file.originalname || null,
+        mimeType,
+        size: file.size,
+        checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+        width,
+        height,
+        duration: (kind === 'voice' || kind === 'video') && seconds >= 0 ? seconds : null
+    });
+}
+
+// Attachment row a user may download: profile files are public, chat files
+// are limited to members of that chat
+async function getDownload(userId, attachmentId) {
+    const attachment = await dbHelpers.getAttachment(attachmentId);
+    if (!attachment) {
+        throw notFound('Attachment not found');
+    }
+    if (attachment.chat_type !== 'profile') {
+        await assertChatMember(userId, attachment.chat_type, attachment.chat_id);
+    }
+    return attachment;
+}
+
+// A message may only carry the sender's own upload for that same chat, and
+// only one message may carry it
+async function checkMessageAttachment(userId, { chatType, chatId }, attachmentId) {
+    const attachment = await dbHelpers.getAttachment(attachmentId);
+    if (!attachment || attachment.chat_type !== chatType || attachment.chat_id !== chatId) {
+        throw badRequest('Unknown attachment');
+    }
+    if (attachment.uploader_id !== userId) {
+        throw new PermissionError('You can only send your own uploads');
+    }
+    if (await dbHelpers.isAttachmentSent(chatType, attachmentId)) {
+        throw badRequest('Attachment already sent');
+    }
+    return attachment;
+}
+
+function openDownload(attachment) {
+    return storage.createReadStream(attachment.storage_key);
+}
+
+module.exports = {
+    MAX_UPLOAD_SIZE,
+    messageTypeFor,
+    storeUpload,
+    getDownload,
+    checkMessageAttachment,
+    openDownload
+};
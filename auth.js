@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { dbHelpers } = require('./database');
+
+// Signing secret. Without JWT_SECRET a random one is generated, which means
+// every restart invalidates all issued tokens (fine for local development).
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+    console.warn('JWT_SECRET is not set, using a random secret for this process');
+}
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '30d';
+
+function signToken(claims, userId, expiresIn) {
+    return jwt.sign(claims, JWT_SECRET, { subject: userId, expiresIn });
+}
+
+// Issue an access/refresh token pair bound to a login session. The refresh
+// token carries the session's refresh version and stops working once it moves on.
+function issueTokens(userId, sessionId, refreshVersion = 0) {
+    return {
+        sessionId,
+        accessToken: signToken({ type: 'access', sid: sessionId }, userId, ACCESS_TOKEN_TTL),
+        refreshToken: signToken({ type: 'refresh', sid: sessionId, ver: refreshVersion }, userId, REFRESH_TOKEN_TTL)
+    };
+}
+
+// Verify a token of the given type and return its payload, or null if invalid
+function verifyToken(token, type = 'access') {
+    if (!token) return null;
+    try {
+        const payload = jwt.verify(token, JWT_SECRET);
+        return payload.type === type ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Verify a token and check that its session has not been revoked, and for
+// refresh tokens that it has not been exchanged already. Resolves to
+// { id, sessionId, refreshVersion } for the acting user, or null.
+async function authenticate(token, type = 'access') {
+    const payload = verifyToken(token, type);
+    if (!payload || !payload.sid) return null;
+
+    const session = await dbHelpers.getSession(payload.sid);
+    if (!session || session.user_id !== payload.sub) return null;
+    // Refresh tokens from before versions count as version 0
+    if (type === 'refresh' && (payload.ver || 0) !== session.refresh_version) return null;
+
+    return { id: payload.sub, sessionId: session.id, refreshVersion: session.refresh_version };
+}
+
+// Express middleware: resolve the acting user from the Bearer token
+async function requireAuth(req, res, next) {
+    try {
+        const header = req.headers.authorization || '';
+        const [scheme, token] = header.split(' ');
+        const user = scheme === 'Bearer' ? await authenticate(token, 'access') : null;
+
+        if (!user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error('Authentication error:', error);
+        res.status(500).json({ error: 'Authentication failed' });
+    }
+}
+
+module.exports = { issueTokens, verifyToken, authenticate, requireAuth };
@@ -0,0 +1,320 @@
+const { v4: uuidv4 } = require('uuid');
+const { dbHelpers } = require('./database');
+const { badRequest, notFound } = require('./errors');
+const { PermissionError, assertConversationParticipant } = require('./permissions');
+const { isUserOnline, sendToUser, sendToClient, sendError, deliverMessage, onUsersLost } = require('./realtime');
+const { assertCanContact } = require('./contacts');
+const cluster = require('./cluster');
+
+// One-to-one call sessions. The server tracks every call from the offer
+// until it finishes:
+//   ringing -> active -> ended
+//   ringing -> missed (ring timeout, caller hung up, callee went offline)
+//   ringing -> rejected
+//   busy (the callee was already on a call, never rings)
+// Finished calls are kept in the `calls` table and announced in the
+// conversation as a 'call' message.
+//
+// With several instances (see cluster.js) a call belongs to the caller's
+// instance, which keeps its state and ring timer. Every instance indexes all
+// calls, so it can tell who is busy and relay ICE candidates; answering,
+// hanging up and rejecting are forwarded to the owner.
+
+const RING_TIMEOUT = (parseInt(process.env.CALL_RING_TIMEOUT, 10) || 45) * 1000;
+
+const calls = new Map(); // Map<callId, call>, the calls this instance owns
+const callIndex = new Map(); // Map<callId, { id, callerId, calleeId, owner }>, calls on any instance
+const userCalls = new Map(); // Map<userId, callId>, a user is on at most one call
+
+function getUserCall(userId) {
+    return callIndex.get(userCalls.get(userId)) || null;
+}
+
+function isOnCall(userId) {
+    return userCalls.has(userId);
+}
+
+function otherParty(call, userId) {
+    return call.callerId === userId ? call.calleeId : call.callerId;
+}
+
+// The call a client event refers to, by callId or else the user's current call
+function findCall(userId, message) {
+    const call = message.callId ? callIndex.get(message.callId) : getUserCall(userId);
+    if (!call || (call.callerId !== userId && call.calleeId !== userId)) {
+        throw notFound('Call not found');
+    }
+    return call;
+}
+
+function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function callSummary(call, status, duration) {
+    const kind = call.isVideo ? 'video call' : 'voice call';
+    switch (status) {
+        case 'ended':
+            return `${call.isVideo ? 'Video' : 'Voice'} call (${formatDuration(duration)})`;
+        case 'rejected':
+            return `Declined ${kind}`;
+        case 'busy':
+            return `Missed ${kind} (busy)`;
+        default:
+            return `Missed ${kind}`;
+    }
+}
+
+// Save the outcome and post it to the conversation
+async function recordOutcome(call, status, endedAt) {
+    await dbHelpers.updateCall(call.id, { status, endedAt });
+
+    const duration = call.answeredAt
+        ? Math.round((Date.parse(endedAt) - Date.parse(call.answeredAt)) / 1000)
+        : 0;
+    const message = await dbHelpers.createMessage(
+        call.conversationId, call.callerId, callSummary(call, status, duration), 'call'
+    );
+    await deliverMessage(message);
+}
+
+function indexCall({ id, callerId, calleeId, owner }) {
+    callIndex.set(id, { id, callerId, calleeId, owner });
+    userCalls.set(callerId, id);
+    userCalls.set(calleeId, id);
+}
+
+function unindexCall(callId) {
+    const call = callIndex.get(callId);
+    if (!call) return;
+    callIndex.delete(callId);
+    [call.callerId, call.calleeId].forEach(userId => {
+        if (userCalls.get(userId) === callId) userCalls.delete(userId);
+    });
+}
+
+// Move a call to a final state and forget it
+async function finishCall(call, status) {
+    if (!calls.has(call.id)) return;
+    clearTimeout(call.ringTimer);
+    calls.delete(call.id);
+    unindexCall(call.id);
+    cluster.broadcast('call_closed', { id: call.id });
+    call.status = status;
+
+    await recordOutcome(call, status, new Date().toISOString());
+}
+
+async function startCall(client, userId, message) {
+    const { conversationId, targetUserId } = message;
+    if (!targetUserId || targetUserId === userId) {
+        throw badRequest('targetUserId must be another participant');
+    }
+    await assertConversationParticipant(userId, conversationId);
+    await assertConversationParticipant(targetUserId, conversationId);
+    await assertCanContact(userId, targetUserId);
+    if (isOnCall(userId)) {
+        throw badRequest('You are already on a call');
+    }
+
+    if (!isUserOnline(targetUserId)) {
+        sendToClient(client, { type: 'call_error', error: 'User is offline' });
+        return;
+    }
+
+    const call = {
+        id: uuidv4(),
+        conversationId,
+        callerId: userId,
+        calleeId: targetUserId,
+        isVideo: !!message.isVideo,
+        status: 'ringing',
+        startedAt: new Date().toISOString(),
+        answeredAt: null,
+        owner: cluster.instanceId,
+        ringTimer: null
+    };
+
+    if (isOnCall(targetUserId)) {
+        await dbHelpers.createCall({ ...call, status: 'busy' });
+        sendToUser(userId, { type: 'call_busy', callId: call.id, targetUserId });
+        await recordOutcome(call, 'busy', call.startedAt);
+        return;
+    }
+
+    calls.set(call.id, call);
+    indexCall(call);
+    await dbHelpers.createCall(call);
+
+    // Other instances learn about the call before the callee can answer it
+    cluster.broadcast('call_opened', callIndex.get(call.id));
+
+    call.ringTimer = setTimeout(() => {
+        sendToUser(call.callerId, { type: 'call_missed', callId: call.id });
+        sendToUser(call.calleeId, { type: 'call_missed', callId: call.id });
+        finishCall(call, 'missed').catch(error => console.error('Call timeout error:', error));
+    }, RING_TIMEOUT);
+
+    // Ring every device of the callee
+    sendToUser(targetUserId, {
+        type: 'call_offer',
+        callId: call.id,
+        offer: message.offer,
+        callerId: userId,
+        callerName: message.callerName,
+        conversationId,
+        isVideo: call.isVideo
+    });
+    sendToUser(userId, { type: 'call_ringing', callId: call.id, targetUserId });
+}
+
+async function answerOwnedCall(call, client, userId, message) {
+    if (call.calleeId !== userId || call.status !== 'ringing') {
+        throw badRequest('Call is not ringing');
+    }
+
+    clearTimeout(call.ringTimer);
+    call.status = 'active';
+    call.answeredAt = new Date().toISOString();
+    await dbHelpers.updateCall(call.id, { status: 'active', answeredAt: call.answeredAt });
+
+    sendToUser(call.callerId, {
+        type: 'call_answer',
+        callId: call.id,
+        answer: message.answer,
+        answererId: userId
+    });
+
+    // Stop ringing on the answerer's other devices
+    sendToUser(userId, { type: 'call_answered_elsewhere', callId: call.id, callerId: call.callerId }, client);
+}
+
+function relayIceCandidate(userId, message) {
+    const call = getUserCall(userId);
+    if (!call || otherParty(call, userId) !== message.targetUserId) {
+        throw new PermissionError('Not on a call with this user');
+    }
+    sendToUser(message.targetUserId, {
+        type: 'ice_candidate',
+        callId: call.id,
+        candidate: message.candidate,
+        fromUserId: userId
+    });
+}
+
+// Hang up. Before it was answered the call counts as missed.
+async function endOwnedCall(call, client, userId) {
+    sendToUser(otherParty(call, userId), { type: 'call_ended', callId: call.id, fromUserId: userId });
+    sendToUser(userId, { type: 'call_ended', callId: call.id, fromUserId: userId }, client);
+    await finishCall(call, call.status === 'active' ? 'ended' : 'missed');
+}
+
+async function rejectOwnedCall(call, client, userId) {
+    if (call.calleeId !== userId || call.status !== 'ringing') {
+        throw badRequest('Call is not ringing');
+    }
+
+    sendToUser(call.callerId, { type: 'call_rejected', callId: call.id, rejecterId: userId });
+
+    // Stop ringing on the rejecter's other devices
+    sendToUser(userId, { type: 'call_answered_elsewhere', callId: call.id, callerId: call.callerId }, client);
+    await finishCall(call, 'rejected');
+}
+
+async function disconnectOwnedCall(call, client, userId) {
+    sendToUser(otherParty(call, userId), { type: 'call_ended', callId: call.id, fromUserId: userId });
+    await finishCall(call, call.status === 'active' ? 'ended' : 'missed');
+}
+
+const CALL_ACTIONS = {
+    answer: answerOwnedCall,
+    end: endOwnedCall,
+    reject: rejectOwnedCall,
+    disconnect: disconnectOwnedCall
+};
+
+// Carry out an action on a call here if this instance owns it, otherwise on
+// the owner, which reports failures straight to the client
+async function callAction(action, call, client, userId, message = {}) {
+    if (call.owner === cluster.instanceId) {
+        await CALL_ACTIONS[action](calls.get(call.id), client, userId, message);
+    } else {
+        cluster.sendTo(call.owner, 'call_action', { action, callId: call.id, client, userId, message });
+    }
+}
+
+function answerCall(client, userId, message) {
+    return callAction('answer', findCall(userId, message), client, userId, message);
+}
+
+function endCall(client, userId, message) {
+    return callAction('end', findCall(userId, message), client, userId, message);
+}
+
+function rejectCall(client, userId, message) {
+    return callAction('reject', findCall(userId, message), client, userId, message);
+}
+
+// The user's last socket closed: drop whatever call they were on
+async function handleDisconnect(userId) {
+    const call = getUserCall(userId);
+    if (!call) return;
+    await callAction('disconnect', call, null, userId);
+}
+
+cluster.on('call_action', async ({ action, callId, client, userId, message }) => {
+    try {
+        const call = calls.get(callId);
+        if (!call) {
+            throw notFound('Call not found');
+        }
+        await CALL_ACTIONS[action](call, client, userId, message);
+    } catch (error) {
+        if (client) sendError(client, error);
+        else console.error(`Call ${action} error:`, error);
+    }
+});
+
+cluster.on('call_opened', call => indexCall(call));
+cluster.on('call_closed', ({ id }) => unindexCall(id));
+
+cluster.on('peer_joined', (data, peerId) => {
+    calls.forEach(call => cluster.sendTo(peerId, 'call_opened', callIndex.get(call.id)));
+});
+
+// The calls of a lost instance are gone with it. One instance tells the
+// parties and closes the calls in the database.
+cluster.on('peer_lost', async (data, peerId) => {
+    const lost = [...callIndex.values()].filter(call => call.owner === peerId);
+    lost.forEach(call => unindexCall(call.id));
+    if (lost.length === 0 || !cluster.isLeader()) return;
+
+    lost.forEach(call => [call.callerId, call.calleeId].forEach(partyId => {
+        sendToUser(partyId, { type: 'call_ended', callId: call.id, fromUserId: null });
+    }));
+    await dbHelpers.endInterruptedCalls(lost.map(call => call.id));
+});
+
+// Users whose instance went away hang up like any other disconnected user
+onUsersLost(async (userIds) => {
+    if (!cluster.isLeader()) return;
+    for (const userId of userIds) {
+        await handleDisconnect(userId);
+    }
+});
+
+function getCallHistory(userId, { before, limit }) {
+    return dbHelpers.getCallHistory(userId, { before, limit });
+}
+
+module.exports = {
+    isOnCall,
+    startCall,
+    answerCall,
+    relayIceCandidate,
+    endCall,
+    rejectCall,
+    handleDisconnect,
+    getCallHistory
+};
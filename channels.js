@@ -0,0 +1,138 @@
+const { dbHelpers, isUniqueViolation } = require('./database');
+const { badRequest, notFound } = require('./errors');
+const { assertChannelRole } = require('./permissions');
+const membership = require('./membership');
+
+// Channel settings and the public directory. Public channels can be found
+// and subscribed to by anyone; private ones only through an invite.
+
+const VISIBILITIES = ['public', 'private'];
+const HANDLE_PATTERN = /^[a-z][a-z0-9_]{3,31}$/;
+const DIRECTORY_PAGE_SIZE = 20;
+const MAX_DIRECTORY_PAGE_SIZE = 100;
+const MAX_VIEWED_POSTS = 100;
+
+// Handles are matched case-insensitively, so they are stored lowercased
+function normalizeHandle(handle) {
+    if (handle === undefined) return undefined;
+    if (handle === null || handle === '') return null;
+    const normalized = String(handle).replace(/^@/, '').toLowerCase();
+    if (!HANDLE_PATTERN.test(normalized)) {
+        throw badRequest('Handle must be 4-32 letters, digits or underscores, starting with a letter');
+    }
+    return normalized;
+}
+
+async function checkSettings({ visibility, handle }, channelId = null) {
+    if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+        throw badRequest('Visibility must be "public" or "private"');
+    }
+    const normalized = normalizeHandle(handle);
+    if (normalized) {
+        const existing = await dbHelpers.getChannelByHandle(normalized);
+        if (existing && existing.id !== channelId) {
+            throw badRequest('Handle is already taken');
+        }
+    }
+    return { visibility, handle: normalized };
+}
+
+// Two requests can still race for the same handle; the unique index decides
+function rethrowHandleConflict(error) {
+    if (isUniqueViolation(error)) {
+        throw badRequest('Handle is already taken');
+    }
+    throw error;
+}
+
+async function createChannel(ownerId, { name, description, visibility = 'private', handle = null }) {
+    if (!name || !String(name).trim()) {
+        throw badRequest('Channel name is required');
+    }
+    const settings = await checkSettings({ visibility, handle });
+    return dbHelpers.createChannel(name, description, ownerId, settings)
+        .catch(rethrowHandleConflict);
+}
+
+// Change name, description, visibility or handle (admins)
+async function updateChannel(actorId, channelId, { name, description, visibility, handle }) {
+    await assertChannelRole(actorId, channelId, 'admin');
+    if (name !== undefined && !String(name).trim()) {
+        throw badRequest('Channel name is required');
+    }
+    const settings = await checkSettings({ visibility, handle }, channelId);
+
+    await dbHelpers.updateChannel(channelId, { name, description, ...settings })
+        .catch(rethrowHandleConflict);
+    const channel = await dbHelpers.getChannelById(channelId);
+    await membership.notify({ chatType: 'channel', chatId: channelId }, 'channel_updated', { channel });
+    return channel;
+}
+
+function pageNumber(value, fallback, max) {
+    const number = parseInt(value, 10);
+    if (Number.isNaN(number) || number < 0) return fallback;
+    return Math.min(number, max);
+}
+
+async function searchDirectory(viewerId, { q = '', limit, offset }) {
+    return dbHelpers.searchChannelDirectory(String(q).trim(), viewerId, {
+        limit: pageNumber(limit, DIRECTORY_PAGE_SIZE, MAX_DIRECTORY_PAGE_SIZE) || DIRECTORY_PAGE_SIZE,
+        offset: pageNumber(offset, 0, Number.MAX_SAFE_INTEGER)
+    });
+}
+
+// Private channels are hidden from non-members as if they did not exist
+async function findVisibleChannel(viewerId, channel) {
+    if (!channel) return null;
+    if (channel.visibility === 'public') return channel;
+    return (await dbHelpers.getChannelRole(channel.id, viewerId)) ? channel : null;
+}
+
+async function getByHandle(viewerId, handle) {
+    const channel = await findVisibleChannel(viewerId,
+        await dbHelpers.getChannelByHandle(String(handle).replace(/^@/, '').toLowerCase()));
+    if (!channel) {
+        throw notFound('Channel not found');
+    }
+    return channel;
+}
+
+async function subscribe(userId, channelId) {
+    const channel = await dbHelpers.getChannelById(channelId);
+    if (!channel || channel.visibility !== 'public') {
+        throw notFound('Channel not found');
+    }
+
+    if (!(await dbHelpers.getChannelRole(channelId, userId))) {
+        await dbHelpers.joinChannel(channelId, userId);
+        await membership.notify({ chatType: 'channel', chatId: channelId }, 'member_joined', { userId });
+    }
+    return dbHelpers.getChannelById(channelId);
+}
+
+function unsubscribe(userId, channelId) {
+    return membership.removeMember(userId, { chatType: 'channel', chatId: channelId }, userId);
+}
+
+// Mark posts as seen by the user; each user counts once per post
+async function recordViews(userId, channelId, messageIds) {
+    if (!Array.isArray(messageIds) || messageIds.length === 0) {
+        throw badRequest('messageIds must be a non-empty array');
+    }
+    if (messageIds.length > MAX_VIEWED_POSTS) {
+        throw badRequest(`At most ${MAX_VIEWED_POSTS} posts per request`);
+    }
+    const ids = [...new Set(messageIds.map(String))];
+    return dbHelpers.recordChannelViews(channelId, userId, ids);
+}
+
+module.exports = {
+    createChannel,
+    updateChannel,
+    searchDirectory,
+    getByHandle,
+    subscribe,
+    unsubscribe,
+    recordViews
+};
@@ -0,0 +1,126 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Coordination between server instances sharing a pub/sub bus (see
+// pubsub.js). Each instance listens on a channel for all instances and one
+// of its own, says 'hello' when it starts and then sends heartbeats; an
+// instance whose heartbeats stop is dropped after HEARTBEAT_TIMEOUT. Other
+// modules exchange their own message types through broadcast/sendTo and
+// on(type, handler), and react to two local events:
+//   peer_joined  an instance appeared (or restarted): send it your state
+//   peer_lost    an instance went away: forget what it told you
+// Handlers get (data, fromInstanceId). With a single instance there are no
+// peers and nothing is sent.
+
+const instanceId = process.env.INSTANCE_ID || uuidv4();
+const CHANNEL_PREFIX = process.env.PUBSUB_PREFIX || 'messenger';
+const HEARTBEAT_INTERVAL = (parseInt(process.env.CLUSTER_HEARTBEAT_INTERVAL, 10) || 5) * 1000;
+const HEARTBEAT_TIMEOUT = HEARTBEAT_INTERVAL * 3;
+
+const BROADCAST_CHANNEL = `${CHANNEL_PREFIX}:all`;
+const instanceChannel = id => `${CHANNEL_PREFIX}:instance:${id}`;
+
+const handlers = new Map(); // Map<type, handler[]>
+const peers = new Map(); // Map<instanceId, time of its last message>
+let bus = null;
+let heartbeatTimer = null;
+
+function on(type, handler) {
+    if (!handlers.has(type)) {
+        handlers.set(type, []);
+    }
+    handlers.get(type).push(handler);
+}
+
+function emit(type, data, from) {
+    (handlers.get(type) || []).forEach(handler => {
+        Promise.resolve()
+            .then(() => handler(data, from))
+            .catch(error => console.error(`Cluster ${type} handler error:`, error));
+    });
+}
+
+function publish(channel, type, data) {
+    if (bus) {
+        bus.publish(channel, JSON.stringify({ type, from: instanceId, data }));
+    }
+}
+
+// Send to every other instance
+function broadcast(type, data) {
+    if (peers.size > 0 || type === 'hello' || type === 'heartbeat') {
+        publish(BROADCAST_CHANNEL, type, data);
+    }
+}
+
+function sendTo(peerId, type, data) {
+    publish(instanceChannel(peerId), type, data);
+}
+
+function receive(raw) {
+    let message;
+    try {
+        message = JSON.parse(raw);
+    } catch (error) {
+        console.error('Malformed cluster message:', raw);
+        return;
+    }
+    const { type, from, data } = message;
+    if (from === instanceId) return;
+
+    // An instance saying hello again restarted and lost its state
+    if (type === 'hello' && peers.has(from)) {
+        peers.delete(from);
+        emit('peer_lost', null, from);
+    }
+    if (!peers.has(from)) {
+        peers.set(from, Date.now());
+        emit('peer_joined', null, from);
+        // Introduce ourselves, so that it sends us its state in turn
+        if (type !== 'welcome') sendTo(from, 'welcome');
+    }
+    peers.set(from, Date.now());
+    emit(type, data, from);
+}
+
+function checkPeers() {
+    broadcast('heartbeat');
+    const cutoff = Date.now() - HEARTBEAT_TIMEOUT;
+    peers.forEach((lastSeen, peerId) => {
+        if (lastSeen < cutoff) {
+            peers.delete(peerId);
+            console.warn(`Instance ${peerId} stopped responding`);
+            emit('peer_lost', null, peerId);
+        }
+    });
+}
+
+async function start(pubsubBus) {
+    bus = pubsubBus;
+    await bus.subscribe(BROADCAST_CHANNEL, receive);
+    await bus.subscribe(instanceChannel(instanceId), receive);
+    broadcast('hello');
+    heartbeatTimer = setInterval(checkPeers, HEARTBEAT_INTERVAL);
+    heartbeatTimer.unref();
+}
+
+async function stop() {
+    clearInterval(heartbeatTimer);
+    if (bus) await bus.close();
+    bus = null;
+}
+
+// One live instance is picked to do cluster-wide chores, such as taking
+// the users of a lost instance offline
+function isLeader() {
+    return [instanceId, ...peers.keys()].sort()[0] === instanceId;
+}
+
+module.exports = {
+    instanceId,
+    start,
+    stop,
+    on,
+    broadcast,
+    sendTo,
+    isLeader
+};
@@ -0,0 +1,125 @@
+const { dbHelpers } = require('./database');
+const { badRequest, notFound } = require('./errors');
+const { PermissionError } = require('./permissions');
+
+// Contacts, blocking and message requests. A private conversation opened
+// by someone the recipient has not added as a contact lands in the
+// recipient's requests until they accept it (or reply). A block in either
+// direction stops private messages and calls between the two users, and
+// hides presence from each other.
+
+async function checkOtherUser(userId, otherId) {
+    if (!otherId || otherId === userId) {
+        throw badRequest('userId must be another user');
+    }
+    if (!(await dbHelpers.getUserById(otherId))) {
+        throw notFound('User not found');
+    }
+}
+
+async function isBlockedBetween(userId, otherId) {
+    return (await dbHelpers.hasBlocked(userId, otherId)) || (await dbHelpers.hasBlocked(otherId, userId));
+}
+
+async function assertCanContact(userId, otherId) {
+    if (await isBlockedBetween(userId, otherId)) {
+        throw new PermissionError('You cannot contact this user');
+    }
+}
+
+// Open (or find) the private conversation with another user
+async function openConversation(userId, otherId) {
+    await checkOtherUser(userId, otherId);
+    await assertCanContact(userId, otherId);
+    const asRequest = !(await dbHelpers.isContact(otherId, userId));
+    return dbHelpers.createConversation(userId, otherId, { asRequest });
+}
+
+// Posting in a private conversation needs no block between the two and a
+// recipient who has not declined it; replying to a message request accepts it
+async function checkPrivateMessage(userId, conversationId) {
+    const conversation = await dbHelpers.getConversation(conversationId);
+    if (!conversation || conversation.type !== 'private') return;
+
+    const participantIds = await dbHelpers.getConversationParticipants(conversationId);
+    const otherId = participantIds.find(id => id !== userId);
+    if (otherId) {
+        await assertCanContact(userId, otherId);
+        if (await dbHelpers.getRequestState(conversationId, otherId) === 'declined') {
+            throw new PermissionError('This user declined your message request');
+        }
+    }
+    await dbHelpers.setRequestState(conversationId, userId, null);
+}
+
+function listContacts(userId) {
+    return dbHelpers.getContacts(userId);
+}
+
+async function addContact(userId, contactId) {
+    await checkOtherUser(userId, contactId);
+    await dbHelpers.addContact(userId, contactId);
+}
+
+async function removeContact(userId, contactId) {
+    const result = await dbHelpers.removeContact(userId, contactId);
+    if (!result.changes) {
+        throw notFound('Not in your contacts');
+    }
+}
+
+function listBlocked(userId) {
+    return dbHelpers.getBlockedUsers(userId);
+}
+
+async function blockUser(userId, targetId) {
+    await checkOtherUser(userId, targetId);
+    await dbHelpers.blockUser(userId, targetId);
+}
+
+async function unblockUser(userId, targetId) {
+    const result = await dbHelpers.unblockUser(userId, targetId);
+    if (!result.changes) {
+        throw notFound('User is not blocked');
+    }
+}
+
+function listRequests(userId) {
+    return dbHelpers.getConversations(userId, { requests: true });
+}
+
+async function acceptRequest(userId, conversationId) {
+    const result = await dbHelpers.setRequestState(conversationId, userId, null);
+    if (!result.changes) {
+        throw notFound('Message request not found');
+    }
+}
+
+// Decline a request, optionally blocking whoever sent it
+async function declineRequest(userId, conversationId, { block = false } = {}) {
+    const requests = await listRequests(userId);
+    const request = requests.find(conversation => conversation.id === conversationId);
+    if (!request) {
+        throw notFound('Message request not found');
+    }
+
+    await dbHelpers.setRequestState(conversationId, userId, 'declined');
+    if (block && request.other_user_id) {
+        await dbHelpers.blockUser(userId, request.other_user_id);
+    }
+}
+
+module.exports = {
+    assertCanContact,
+    openConversation,
+    checkPrivateMessage,
+    listContacts,
+    addContact,
+    removeContact,
+    listBlocked,
+    blockUser,
+    unblockUser,
+    listRequests,
+    acceptRequest,
+    declineRequest
+};
@@ -0,0 +1,124 @@
+const { dbHelpers } = require('./database');
+const { badRequest, notFound } = require('./errors');
+const { PermissionError, assertConversationParticipant } = require('./permissions');
+const { publishEvent } = require('./realtime');
+
+// Ad-hoc conversations with several participants (type 'multi'). Unlike
+// groups they have no roles: any participant may add people or rename the
+// conversation, only its creator may remove others, and anyone may leave.
+// Private two-person conversations cannot be changed.
+
+const MAX_PARTICIPANTS = 50;
+const MAX_NAME_LENGTH = 100;
+
+function checkName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+        throw badRequest('Conversation name is required');
+    }
+    if (trimmed.length > MAX_NAME_LENGTH) {
+        throw badRequest(`Conversation name is longer than ${MAX_NAME_LENGTH} characters`);
+    }
+    return trimmed;
+}
+
+// Users the actor may add: existing, and not blocking the actor
+async function checkUsers(actorId, userIds) {
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+        throw badRequest('userIds must be a non-empty array');
+    }
+    const ids = [...new Set(userIds.map(String))];
+    for (const userId of ids) {
+        if (!(await dbHelpers.getUserById(userId))) {
+            throw notFound(`User ${userId} not found`);
+        }
+        if (await dbHelpers.hasBlocked(userId, actorId)) {
+            throw new PermissionError(`You cannot add user ${userId}`);
+        }
+    }
+    return ids;
+}
+
+async function loadMultiConversation(actorId, conversationId) {
+    await assertConversationParticipant(actorId, conversationId);
+    const conversation = await dbHelpers.getConversation(conversationId);
+    if (conversation.type !== 'multi') {
+        throw badRequest('Private conversations have a fixed pair of participants');
+    }
+    return conversation;
+}
+
+async function notify(conversationId, type, data, departedUserId = null) {
+    const payload = { conversationId, ...data };
+    const participantIds = await dbHelpers.getConversationParticipants(conversationId);
+    await publishEvent('conversation', conversationId, participantIds, type, payload);
+    if (departedUserId) {
+        await publishEvent('user', departedUserId, [departedUserId], type, payload);
+    }
+}
+
+async function createConversation(creatorId, { name, userIds }) {
+    const conversationName = checkName(name);
+    const ids = (await checkUsers(creatorId, userIds)).filter(userId => userId !== creatorId);
+    if (ids.length + 1 > MAX_PARTICIPANTS) {
+        throw badRequest(`A conversation has at most ${MAX_PARTICIPANTS} participants`);
+    }
+
+    const conversation = await dbHelpers.createMultiConversation(creatorId, conversationName, ids);
+    const participants = await dbHelpers.getConversationMembers(conversation.id);
+    await notify(conversation.id, 'conversation_created', { conversation, participants });
+    return { ...conversation, participants };
+}
+
+async function listParticipants(actorId, conversationId) {
+    await assertConversationParticipant(actorId, conversationId);
+    return dbHelpers.getConversationMembers(conversationId);
+}
+
+async function addParticipants(actorId, conversationId, userIds) {
+    await loadMultiConversation(actorId, conversationId);
+    const ids = await checkUsers(actorId, userIds);
+    const current = await dbHelpers.getConversationParticipants(conversationId);
+    const newIds = ids.filter(userId => !current.includes(userId));
+    if (current.length + newIds.length > MAX_PARTICIPANTS) {
+        throw badRequest(`A conversation has at most ${MAX_PARTICIPANTS} participants`);
+    }
+
+    const added = await dbHelpers.addConversationParticipants(conversationId, newIds);
+    if (added.length > 0) {
+        await notify(conversationId, 'participants_added', { userIds: added, addedBy: actorId });
+    }
+    return { added };
+}
+
+// Leave when `userId` is the actor, otherwise remove someone (creator only)
+async function removeParticipant(actorId, conversationId, userId) {
+    const conversation = await loadMultiConversation(actorId, conversationId);
+    const leaving = actorId === userId;
+    if (!leaving && conversation.created_by !== actorId) {
+        throw new PermissionError('Only the creator can remove participants');
+    }
+
+    const result = await dbHelpers.removeConversationParticipant(conversationId, userId);
+    if (!result.changes) {
+        throw notFound('Not a participant');
+    }
+    await notify(conversationId, leaving ? 'participant_left' : 'participant_removed',
+        leaving ? { userId } : { userId, removedBy: actorId }, userId);
+}
+
+async function renameConversation(actorId, conversationId, name) {
+    await loadMultiConversation(actorId, conversationId);
+    const conversationName = checkName(name);
+    await dbHelpers.renameConversation(conversationId, conversationName);
+    await notify(conversationId, 'conversation_renamed', { name: conversationName, renamedBy: actorId });
+    return dbHelpers.getConversation(conversationId);
+}
+
+module.exports = {
+    createConversation,
+    listParticipants,
+    addParticipants,
+    removeParticipant,
+    renameConversation
+};
@@ -1,580 +1,1589 @@
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
+const { badRequest } = require('./errors');
+const { migrate } = require('./migrator');
+const { createDriver } = require('./dbDrivers');
 
-const dbPath = path.join(__dirname, 'messenger.db');
-const db = new sqlite3.Database(dbPath);
-
-// Initialize database tables
-db.serialize(() => {
-  // Users table with extended profile fields
-  db.run(`
-    CREATE TABLE IF NOT EXISTS users (
-      id TEXT PRIMARY KEY,
-      username TEXT UNIQUE NOT NULL,
-      display_name TEXT DEFAULT NULL,
-      email TEXT UNIQUE NOT NULL,
-      password TEXT NOT NULL,
-      avatar TEXT DEFAULT NULL,
-      bio TEXT DEFAULT NULL,
-      status TEXT DEFAULT 'offline',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Add new columns if they don't exist (migration)
-  db.run(`ALTER TABLE users ADD COLUMN display_name TEXT DEFAULT NULL`, () => { });
-  db.run(`ALTER TABLE users ADD COLUMN bio TEXT DEFAULT NULL`, () => { });
-
-  // Conversations table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS conversations (
-      id TEXT PRIMARY KEY,
-      type TEXT DEFAULT 'private',
-      name TEXT DEFAULT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Conversation participants
-  db.run(`
-    CREATE TABLE IF NOT EXISTS conversation_participants (
-      conversation_id TEXT NOT NULL,
-      user_id TEXT NOT NULL,
-      joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      PRIMARY KEY (conversation_id, user_id),
-      FOREIGN KEY (conversation_id) REFERENCES conversations(id),
-      FOREIGN KEY (user_id) REFERENCES users(id)
-    )
-  `);
-
-  // Messages table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS messages (
-      id TEXT PRIMARY KEY,
-      conversation_id TEXT NOT NULL,
-      sender_id TEXT NOT NULL,
-      content TEXT NOT NULL,
-      type TEXT DEFAULT 'text',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (conversation_id) REFERENCES conversations(id),
-      FOREIGN KEY (sender_id) REFERENCES users(id)
-    )
-  `);
-
-  // Channels table (only admins can post)
-  db.run(`
-    CREATE TABLE IF NOT EXISTS channels (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      description TEXT DEFAULT NULL,
-      avatar TEXT DEFAULT NULL,
-      owner_id TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (owner_id) REFERENCES users(id)
-    )
-  `);
-
-  // Groups table (all members can post)
-  db.run(`
-    CREATE TABLE IF NOT EXISTS groups_table (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      description TEXT DEFAULT NULL,
-      avatar TEXT DEFAULT NULL,
-      owner_id TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (owner_id) REFERENCES users(id)
-    )
-  `);
-
-  // Channel members
-  db.run(`
-    CREATE TABLE IF NOT EXISTS channel_members (
-      channel_id TEXT NOT NULL,
-      user_id TEXT NOT NULL,
-      role TEXT DEFAULT 'member',
-      joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      PRIMARY KEY (channel_id, user_id),
-      FOREIGN KEY (channel_id) REFERENCES channels(id),
-      FOREIGN KEY (user_id) REFERENCES users(id)
-    )
-  `);
-
-  // Group members
-  db.run(`
-    CREATE TABLE IF NOT EXISTS group_members (
-      group_id TEXT NOT NULL,
-      user_id TEXT NOT NULL,
-      role TEXT DEFAULT 'member',
-      joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      PRIMARY KEY (group_id, user_id),
-      FOREIGN KEY (group_id) REFERENCES groups_table(id),
-      FOREIGN KEY (user_id) REFERENCES users(id)
-    )
-  `);
-
-  // Channel messages
-  db.run(`
-    CREATE TABLE IF NOT EXISTS channel_messages (
-      id TEXT PRIMARY KEY,
-      channel_id TEXT NOT NULL,
-      sender_id TEXT NOT NULL,
-      content TEXT NOT NULL,
-      type TEXT DEFAULT 'text',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (channel_id) REFERENCES channels(id),
-      FOREIGN KEY (sender_id) REFERENCES users(id)
-    )
-  `);
-
-  // Group messages
-  db.run(`
-    CREATE TABLE IF NOT EXISTS group_messages (
-      id TEXT PRIMARY KEY,
-      group_id TEXT NOT NULL,
-      sender_id TEXT NOT NULL,
-      content TEXT NOT NULL,
-      type TEXT DEFAULT 'text',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (group_id) REFERENCES groups_table(id),
-      FOREIGN KEY (sender_id) REFERENCES users(id)
-    )
-  `);
-});
+// SQLite or PostgreSQL, depending on DATABASE_URL (see dbDrivers.js). Queries
+// below stick to SQL both understand; the few that cannot check db.dialect.
+const db = createDriver();
+
+// Message table and chat column for each kind of chat
+const CHAT_TABLES = {
+  conversation: { table: 'messages', chatColumn: 'conversation_id' },
+  group: { table: 'group_messages', chatColumn: 'group_id' },
+  channel: { table: 'channel_messages', chatColumn: 'channel_id' }
+};
+
+// Member table and owning table for groups and channels
+const MEMBER_TABLES = {
+  group: { table: 'group_members', chatColumn: 'group_id', parentTable: 'groups_table' },
+  channel: { table: 'channel_members', chatColumn: 'channel_id', parentTable: 'channels' }
+};
+
+// Bring the schema up to date (see migrations/) and tidy up state left over
+// from the previous run. The server must not use the database before this.
+async function initDatabase() {
+  await migrate(db);
+
+  // Calls live in memory, so any still open in the table were cut off by a
+  // restart. With several instances this also closes the calls of the ones
+  // still running; they correct the status when those calls finish.
+  await db.run(END_OPEN_CALLS);
+}
+
+// Calls that were cut off count as ended when answered, missed otherwise
+const END_OPEN_CALLS = `
+  UPDATE calls SET status = CASE WHEN status = 'active' THEN 'ended' ELSE 'missed' END,
+    ended_at = COALESCE(answered_at, started_at)
+  WHERE status IN ('ringing', 'active')
+`;
+
+// Delete the messages of one chat type matching `condition`, with their
+// reactions, revisions and views. Replies to them become plain messages.
+async function deleteMessages(tx, chatType, condition, params) {
+  const { table } = CHAT_TABLES[chatType];
+  const ids = `SELECT id FROM ${table} WHERE ${condition}`;
+  await tx.run(`UPDATE ${table} SET reply_to = NULL WHERE reply_to IN (${ids})`, params);
+  await tx.run(`UPDATE ${table} SET thread_root = NULL WHERE thread_root IN (${ids})`, params);
+  for (const dependent of ['message_reactions', 'message_revisions', 'hidden_messages']) {
+    await tx.run(`DELETE FROM ${dependent} WHERE chat_type = ? AND message_id IN (${ids})`, [chatType, ...params]);
+  }
+  if (chatType === 'channel') {
+    await tx.run(`DELETE FROM channel_post_views WHERE message_id IN (${ids})`, params);
+  }
+  await tx.run(`DELETE FROM ${table} WHERE ${condition}`, params);
+}
+
+// Delete a whole chat with its messages, receipts, invites, sync log, calls
+// and files. Resolves to the storage keys of the deleted files.
+async function deleteChat(tx, chatType, chatId) {
+  const { chatColumn } = CHAT_TABLES[chatType];
+  await deleteMessages(tx, chatType, `${chatColumn} = ?`, [chatId]);
+  await tx.run('DELETE FROM read_markers WHERE chat_type = ? AND chat_id = ?', [chatType, chatId]);
+  await tx.run('DELETE FROM invites WHERE chat_type = ? AND chat_id = ?', [chatType, chatId]);
+  await tx.run('DELETE FROM sync_events WHERE scope_type = ? AND scope_id = ?', [chatType, chatId]);
+
+  const files = await tx.all('SELECT storage_key FROM attachments WHERE chat_type = ? AND chat_id = ?', [chatType, chatId]);
+  await tx.run('DELETE FROM attachments WHERE chat_type = ? AND chat_id = ?', [chatType, chatId]);
+
+  if (chatType === 'conversation') {
+    await tx.run('DELETE FROM calls WHERE conversation_id = ?', [chatId]);
+    await tx.run('DELETE FROM conversation_participants WHERE conversation_id = ?', [chatId]);
+    await tx.run('DELETE FROM conversations WHERE id = ?', [chatId]);
+  } else {
+    const { table, chatColumn: memberColumn, parentTable } = MEMBER_TABLES[chatType];
+    await tx.run(`DELETE FROM ${table} WHERE ${memberColumn} = ?`, [chatId]);
+    await tx.run(`DELETE FROM ${parentTable} WHERE id = ?`, [chatId]);
+  }
+  return files.map(file => file.storage_key);
+}
+
+// Whether the viewer bound to the `?` placeholder is in the contacts of the
+// user in `userColumn`
+function contactSql(userColumn) {
+  return `EXISTS (SELECT 1 FROM contacts WHERE user_id = ${userColumn} AND contact_id = ?)`;
+}
+
+// Whether the user in `userColumn` has blocked the viewer bound to `?`
+function blockedViewerSql(userColumn) {
+  return `EXISTS (SELECT 1 FROM blocks WHERE blocker_id = ${userColumn} AND blocked_id = ?)`;
+}
+
+// Someone who blocked the viewer shows them nothing, whatever the setting
+function isVisible(setting, row, viewerId) {
+  if (row.id === viewerId) return true;
+  if (row.blocked_viewer) return false;
+  if (setting === 'everyone' || !setting) return true;
+  return setting === 'contacts' && !!row.is_contact;
+}
+
+// Strip what the viewer may not see from a user row selected with
+// PROFILE_COLUMNS. privacy_last_seen guards presence, privacy_profile guards
+// email, bio and the custom status.
+function applyPrivacy(row, viewerId) {
+  if (!row) return row;
+  const { is_contact, blocked_viewer, privacy_last_seen, privacy_profile, ...user } = row;
+  const statusExpired = user.status_expires_at && user.status_expires_at <= new Date().toISOString();
+
+  if (!isVisible(privacy_last_seen, row, viewerId)) {
+    user.status = null;
+    user.last_seen = null;
+  }
+  if (!isVisible(privacy_profile, row, viewerId)) {
+    user.email = null;
+    user.bio = null;
+  }
+  if (statusExpired || !isVisible(privacy_profile, row, viewerId)) {
+    user.status_text = null;
+    user.status_emoji = null;
+    user.status_expires_at = null;
+  }
+  if (user.deleted_at) {
+    user.username = DELETED_USERNAME;
+  }
+  if (row.id === viewerId) {
+    user.privacy = { lastSeen: privacy_last_seen, profile: privacy_profile };
+  }
+  return user;
+}
+
+// Name shown in place of the username of a deleted account whose messages were kept
+const DELETED_USERNAME = 'Deleted account';
+
+// Username of `alias`, or DELETED_USERNAME once the account is deleted
+function usernameSql(alias) {
+  return `CASE WHEN ${alias}.deleted_at IS NULL THEN ${alias}.username ELSE '${DELETED_USERNAME}' END`;
+}
+
+// Presence of `alias` in member lists, shown only when it is public
+function publicStatusSql(alias) {
+  return `CASE WHEN ${alias}.privacy_last_seen = 'everyone' THEN ${alias}.status END`;
+}
+
+const PROFILE_COLUMNS = `u.id, u.username, u.display_name, u.email, u.avatar, u.bio, u.status,
+  u.last_seen, u.status_text, u.status_emoji, u.status_expires_at, u.privacy_last_seen, u.privacy_profile,
+  u.deleted_at`;
+
+// Unread messages for the member `userColumn` of a chat, i.e. messages from
+// others newer than the member's read marker. Thread replies stay out of the
+// count, like they stay out of the history the marker follows.
+function unreadCountSql(chatType, chatIdColumn, userColumn) {
+  const { table, chatColumn } = CHAT_TABLES[chatType];
+  return `(SELECT COUNT(*) FROM ${table} um
+    WHERE um.${chatColumn} = ${chatIdColumn} AND um.sender_id != ${userColumn} AND um.deleted_at IS NULL
+      AND um.thread_root IS NULL
+      AND um.created_at > COALESCE((SELECT rm.read_up_to FROM read_markers rm
+        WHERE rm.chat_type = '${chatType}' AND rm.chat_id = ${chatIdColumn} AND rm.user_id = ${userColumn}), ''))`;
+}
+
+// Thread reply count and a preview of the quoted message, for history rows
+function threadColumnsSql(chatType, alias) {
+  const { table } = CHAT_TABLES[chatType];
+  return `
+    (SELECT COUNT(*) FROM ${table} tr WHERE tr.thread_root = ${alias}.id AND tr.deleted_at IS NULL) as reply_count,
+    (SELECT q.content FROM ${table} q WHERE q.id = ${alias}.reply_to) as reply_to_content,
+    (SELECT q.sender_id FROM ${table} q WHERE q.id = ${alias}.reply_to) as reply_to_sender_id`;
+}
+
+// Attachment metadata exposed to clients
+const ATTACHMENT_COLUMNS = 'id, file_name, mime_type, size, checksum, width, height, duration, created_at';
+
+// Message history page sizes
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// A requested page size as a whole number from 1 to `max`, `fallback` when unset
+function pageLimit(value, fallback, max) {
+  return Math.min(Math.max(parseInt(value, 10) || fallback, 1), max);
+}
+
+// Resolve a `before`/`after` cursor to a position in a message table. A cursor
+// is either the id of a message in the same chat or a timestamp.
+async function resolveCursor(table, chatColumn, chatId, cursor) {
+  const row = await db.get(`SELECT created_at, id FROM ${table} WHERE id = ? AND ${chatColumn} = ?`, [cursor, chatId]);
+  if (row) return { createdAt: row.created_at, id: row.id };
+
+  const time = Date.parse(cursor);
+  if (isNaN(time)) throw badRequest('Invalid cursor');
+  return { createdAt: new Date(time).toISOString(), id: null };
+}
+
+// Keyset pagination shared by the conversation, group and channel histories.
+// Without a cursor the newest page is returned. Rows always come back oldest
+// first; `has_more` tells whether more rows exist past the page in the
+// direction of travel. Messages `viewerId` deleted for themselves are skipped.
+// Thread replies only show up when `threadRoot` asks for that thread.
+async function getMessagePage({ chatType, alias, chatId, select }, options = {}) {
+  const { table, chatColumn } = CHAT_TABLES[chatType];
+  const { before, after, viewerId, threadRoot } = options;
+  if (before && after) {
+    throw badRequest('Use either before or after, not both');
+  }
+
+  const limit = pageLimit(options.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const conditions = [`${alias}.${chatColumn} = ?`];
+  const params = [chatId];
+  const forward = !!after;
+
+  if (threadRoot) {
+    conditions.push(`${alias}.thread_root = ?`);
+    params.push(threadRoot);
+  } else {
+    conditions.push(`${alias}.thread_root IS NULL`);
+  }
+
+  if (viewerId) {
+    conditions.push(`NOT EXISTS (SELECT 1 FROM hidden_messages h
+      WHERE h.chat_type = ? AND h.message_id = ${alias}.id AND h.user_id = ?)`);
+    params.push(chatType, viewerId);
+  }
+
+  if (before || after) {
+    const cursor = await resolveCursor(table, chatColumn, chatId, before || after);
+    const op = forward ? '>' : '<';
+    if (cursor.id === null) {
+      conditions.push(`${alias}.created_at ${op} ?`);
+      params.push(cursor.createdAt);
+    } else {
+      conditions.push(`(${alias}.created_at ${op} ? OR (${alias}.created_at = ? AND ${alias}.id ${op} ?))`);
+      params.push(cursor.createdAt, cursor.createdAt, cursor.id);
+    }
+  }
+
+  // Messages sent within the same millisecond are ordered by id
+  const order = forward ? 'ASC' : 'DESC';
+  const rows = await db.all(`
+    ${select}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY ${alias}.created_at ${order}, ${alias}.id ${order}
+    LIMIT ?
+  `, [...params, limit + 1]);
+
+  const has_more = rows.length > limit;
+  const messages = rows.slice(0, limit);
+  if (!forward) messages.reverse();
+  await attachReactions(chatType, messages, viewerId);
+  await attachAttachments(messages);
+  return { messages, has_more };
+}
+
+// Replace `attachment_id` on history rows with the attachment's metadata
+async function attachAttachments(messages) {
+  const ids = messages.filter(m => m.attachment_id).map(m => m.attachment_id);
+  const rows = ids.length === 0 ? [] : await db.all(
+    `SELECT ${ATTACHMENT_COLUMNS} FROM attachments WHERE id IN (${ids.map(() => '?').join(', ')})`,
+    ids
+  );
+
+  const byId = new Map(rows.map(row => [row.id, row]));
+  messages.forEach(m => { m.attachment = byId.get(m.attachment_id) || null; });
+}
+
+// Add `reactions: [{ emoji, count, me }]` to each history row, where `me`
+// tells whether the viewer is among the reactors
+async function attachReactions(chatType, messages, viewerId) {
+  if (messages.length === 0) return;
+
+  const ids = messages.map(m => m.id);
+  const rows = await db.all(`
+    SELECT message_id, emoji, COUNT(*) as count, MAX(CASE WHEN user_id = ? THEN 1 ELSE 0 END) as me
+    FROM message_reactions
+    WHERE chat_type = ? AND message_id IN (${ids.map(() => '?').join(', ')})
+    GROUP BY message_id, emoji
+    ORDER BY MIN(created_at) ASC
+  `, [viewerId || null, chatType, ...ids]);
+
+  const byMessage = new Map(ids.map(id => [id, []]));
+  rows.forEach(row => byMessage.get(row.message_id).push({
+    emoji: row.emoji,
+    count: row.count,
+    me: !!row.me
+  }));
+  messages.forEach(m => { m.reactions = byMessage.get(m.id); });
+}
+
+// Turn free text into an FTS5 query: every word must match, the last one as a
+// prefix. Words are quoted so user input can never be read as query syntax.
+function toFtsQuery(text) {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  return words
+    .map((word, i) => `"${word.replace(/"/g, '""')}"${i === words.length - 1 ? '*' : ''}`)
+    .join(' ');
+}
+
+// The same for PostgreSQL's to_tsquery: quoted lexemes joined by &, the last
+// one matched as a prefix
+function toTsQuery(text) {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  return words
+    .map((word, i) => `'${word.replace(/['\\]/g, '\\$&')}'${i === words.length - 1 ? ':*' : ''}`)
+    .join(' & ');
+}
+
+// Snippets come back from the database with matches between these private-use
+// characters, so that the content can be HTML-escaped before the <mark> tags
+// go in
+const MATCH_START = '\uE000';
+const MATCH_END = '\uE001';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function highlightSnippet(snippet) {
+  return String(snippet || '')
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+    .split(MATCH_START).join('<mark>')
+    .split(MATCH_END).join('</mark>');
+}
+
+// How message search matches, ranks and highlights in each dialect. SQLite
+// uses the FTS5 table; PostgreSQL a tsvector column of the same table.
+const MESSAGE_SEARCH = {
+  sqlite: {
+    toQuery: toFtsQuery,
+    from: 'message_search s',
+    match: 'message_search MATCH ?',
+    snippet: `snippet(message_search, 0, '${MATCH_START}', '${MATCH_END}', '…', 16)`,
+    rank: 'rank'
+  },
+  postgres: {
+    toQuery: toTsQuery,
+    from: `message_search s CROSS JOIN to_tsquery('simple', ?) query`,
+    match: 's.document @@ query',
+    snippet: `ts_headline('simple', s.content, query,
+      'StartSel=${MATCH_START}, StopSel=${MATCH_END}, FragmentDelimiter=…, MaxFragments=1, MinWords=8, MaxWords=16')`,
+    rank: 'ts_rank(s.document, query) DESC'
+  }
+};
 
 // Database helper functions
 const dbHelpers = {
   // User operations
-  createUser: (username, email, password) => {
-    return new Promise((resolve, reject) => {
-      const id = uuidv4();
-      const hashedPassword = bcrypt.hashSync(password, 10);
-
-      db.run(
-        'INSERT INTO users (id, username, email, password) VALUES (?, ?, ?, ?)',
-        [id, username, email, hashedPassword],
-        function (err) {
-          if (err) reject(err);
-          else resolve({ id, username, email });
-        }
-      );
-    });
+  createUser: async (username, email, password) => {
+    const id = uuidv4();
+    const hashedPassword = bcrypt.hashSync(password, 10);
+
+    await db.run(
+      'INSERT INTO users (id, username, email, password) VALUES (?, ?, ?, ?)',
+      [id, username, email, hashedPassword]
+    );
+    return { id, username, email };
   },
 
   getUserByEmail: (email) => {
-    return new Promise((resolve, reject) => {
-      db.get('SELECT * FROM users WHERE email = ?', [email], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
+    return db.get('SELECT * FROM users WHERE email = ?', [email]);
   },
 
   getUserById: (id) => {
-    return new Promise((resolve, reject) => {
-      db.get('SELECT id, username, email, avatar, status FROM users WHERE id = ?', [id], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
+    return db.get('SELECT id, username, email, avatar, status FROM users WHERE id = ? AND deleted_at IS NULL', [id]);
   },
 
   getUserByUsername: (username) => {
-    return new Promise((resolve, reject) => {
-      db.get('SELECT id, username, email, avatar, status FROM users WHERE username LIKE ?', [`%${username}%`], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
+    return db.get(
+      'SELECT id, username, email, avatar, status FROM users WHERE LOWER(username) LIKE LOWER(?) AND deleted_at IS NULL',
+      [`%${username}%`]
+    );
   },
 
-  searchUsers: (query, currentUserId) => {
-    return new Promise((resolve, reject) => {
-      db.all(
-        'SELECT id, username, email, avatar, status FROM users WHERE (username LIKE ? OR email LIKE ?) AND id != ?',
-        [`%${query}%`, `%${query}%`, currentUserId],
-        (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows || []);
-        }
-      );
-    });
+  // Users matching by username, or by email where the user shows it to the searcher
+  searchUsers: async (query, currentUserId) => {
+    const rows = await db.all(`
+      SELECT ${PROFILE_COLUMNS}, ${contactSql('u.id')} as is_contact,
+        ${blockedViewerSql('u.id')} as blocked_viewer
+      FROM users u
+      WHERE (LOWER(u.username) LIKE LOWER(?) OR LOWER(u.email) LIKE LOWER(?)) AND u.id != ? AND u.deleted_at IS NULL
+    `, [currentUserId, currentUserId, `%${query}%`, `%${query}%`, currentUserId]);
+
+    const needle = query.toLowerCase();
+    return rows
+      .map(row => applyPrivacy(row, currentUserId))
+      .filter(user => user.username.toLowerCase().includes(needle) || user.email)
+      .map(({ id, username, display_name, email, avatar, status, last_seen, status_text, status_emoji }) =>
+        ({ id, username, display_name, email, avatar, status, last_seen, status_text, status_emoji }));
   },
 
-  updateUserStatus: (userId, status) => {
-    return new Promise((resolve, reject) => {
-      db.run('UPDATE users SET status = ? WHERE id = ?', [status, userId], (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+  // Set 'online' or 'offline'; last_seen records the latest change
+  updateUserStatus: async (userId, status) => {
+    await db.run('UPDATE users SET status = ?, last_seen = ? WHERE id = ?',
+      [status, new Date().toISOString(), userId]);
+  },
+
+  setCustomStatus: async (userId, { text, emoji, expiresAt }) => {
+    await db.run('UPDATE users SET status_text = ?, status_emoji = ?, status_expires_at = ? WHERE id = ?',
+      [text, emoji, expiresAt, userId]);
+    return { success: true };
+  },
+
+  updatePrivacySettings: async (userId, { lastSeen, profile }) => {
+    await db.run(`
+      UPDATE users SET privacy_last_seen = COALESCE(?, privacy_last_seen),
+        privacy_profile = COALESCE(?, privacy_profile)
+      WHERE id = ?
+    `, [lastSeen || null, profile || null, userId]);
+    return { success: true };
+  },
+
+  // Count a failed login, resolves to the number of failures in a row
+  recordFailedLogin: async (userId) => {
+    const row = await db.get(
+      'UPDATE users SET failed_logins = COALESCE(failed_logins, 0) + 1 WHERE id = ? RETURNING failed_logins',
+      [userId]
+    );
+    return row.failed_logins;
+  },
+
+  lockLogin: async (userId, lockedUntil) => {
+    await db.run('UPDATE users SET locked_until = ? WHERE id = ?', [lockedUntil, userId]);
+    return { success: true };
+  },
+
+  clearFailedLogins: async (userId) => {
+    await db.run('UPDATE users SET failed_logins = 0, locked_until = NULL WHERE id = ?', [userId]);
+    return { success: true };
+  },
+
+  // The user's contacts, those who added the user and everyone sharing a
+  // conversation or group with them, flagged when the user lists them as a
+  // contact, plus the user's own privacy settings. Users on either side of
+  // a block are left out.
+  getPresenceAudience: async (userId) => {
+    const settings = await db.get('SELECT privacy_last_seen, privacy_profile FROM users WHERE id = ?', [userId]);
+    const rows = await db.all(`
+      SELECT u.id, EXISTS (SELECT 1 FROM contacts WHERE user_id = ? AND contact_id = u.id) as is_contact
+      FROM users u
+      WHERE u.id != ? AND (
+        u.id IN (SELECT contact_id FROM contacts WHERE user_id = ?)
+        OR u.id IN (SELECT user_id FROM contacts WHERE contact_id = ?)
+        OR u.id IN (SELECT b.user_id FROM conversation_participants a
+          JOIN conversation_participants b ON b.conversation_id = a.conversation_id
+          WHERE a.user_id = ?)
+        OR u.id IN (SELECT b.user_id FROM group_members a
+          JOIN group_members b ON b.group_id = a.group_id
+          WHERE a.user_id = ?)
+      )
+      AND u.id NOT IN (SELECT blocked_id FROM blocks WHERE blocker_id = ?)
+      AND u.id NOT IN (SELECT blocker_id FROM blocks WHERE blocked_id = ?)
+    `, [userId, userId, userId, userId, userId, userId, userId, userId]);
+
+    return {
+      privacyLastSeen: settings ? settings.privacy_last_seen : 'everyone',
+      privacyProfile: settings ? settings.privacy_profile : 'everyone',
+      users: rows.map(row => ({ id: row.id, isContact: !!row.is_contact }))
+    };
   },
 
   // Conversation operations
-  createConversation: (userId1, userId2) => {
-    return new Promise((resolve, reject) => {
-      // Check if conversation exists
-      db.get(`
-        SELECT c.id FROM conversations c
-        JOIN conversation_participants cp1 ON c.id = cp1.conversation_id AND cp1.user_id = ?
-        JOIN conversation_participants cp2 ON c.id = cp2.conversation_id AND cp2.user_id = ?
-        WHERE c.type = 'private'
-      `, [userId1, userId2], (err, existing) => {
-        if (err) return reject(err);
-
-        if (existing) {
-          return resolve(existing.id);
-        }
+  // Private conversation between two users, created on first use. With
+  // `asRequest` a new conversation is a message request for userId2.
+  createConversation: async (userId1, userId2, { asRequest = false } = {}) => {
+    // Check if conversation exists
+    const existing = await db.get(`
+      SELECT c.id FROM conversations c
+      JOIN conversation_participants cp1 ON c.id = cp1.conversation_id AND cp1.user_id = ?
+      JOIN conversation_participants cp2 ON c.id = cp2.conversation_id AND cp2.user_id = ?
+      WHERE c.type = 'private'
+    `, [userId1, userId2]);
+
+    if (existing) {
+      return existing.id;
+    }
 
-        const id = uuidv4();
-        db.run('INSERT INTO conversations (id, type) VALUES (?, "private")', [id], (err) => {
-          if (err) return reject(err);
-
-          db.run('INSERT INTO conversation_participants (conversation_id, user_id) VALUES (?, ?)', [id, userId1]);
-          db.run('INSERT INTO conversation_participants (conversation_id, user_id) VALUES (?, ?)', [id, userId2], (err) => {
-            if (err) reject(err);
-            else resolve(id);
-          });
-        });
-      });
+    const id = uuidv4();
+    await db.transaction(async (tx) => {
+      await tx.run(`INSERT INTO conversations (id, type) VALUES (?, 'private')`, [id]);
+      await tx.run('INSERT INTO conversation_participants (conversation_id, user_id) VALUES (?, ?)', [id, userId1]);
+      await tx.run('INSERT INTO conversation_participants (conversation_id, user_id, request_state) VALUES (?, ?, ?)',
+        [id, userId2, asRequest ? 'pending' : null]);
     });
+    return id;
   },
 
-  getConversations: (userId) => {
-    return new Promise((resolve, reject) => {
-      db.all(`
-        SELECT 
-          c.id,
-          c.type,
-          c.created_at,
-          u.id as other_user_id,
-          u.username as other_username,
-          u.avatar as other_avatar,
-          u.status as other_status,
-          (SELECT content FROM messages WHERE conversation_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message,
-          (SELECT created_at FROM messages WHERE conversation_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message_time
-        FROM conversations c
-        JOIN conversation_participants cp ON c.id = cp.conversation_id
-        JOIN conversation_participants cp2 ON c.id = cp2.conversation_id AND cp2.user_id != ?
-        JOIN users u ON cp2.user_id = u.id
-        WHERE cp.user_id = ?
-        ORDER BY last_message_time DESC
-      `, [userId, userId], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows || []);
-      });
+  // Create a named conversation with any number of participants (type 'multi')
+  createMultiConversation: (creatorId, name, participantIds) => {
+    const id = uuidv4();
+    return db.transaction(async (tx) => {
+      await tx.run('INSERT INTO conversations (id, type, name, created_by) VALUES (?, ?, ?, ?)',
+        [id, 'multi', name, creatorId]);
+      for (const userId of [creatorId, ...participantIds]) {
+        await tx.run('INSERT INTO conversation_participants (conversation_id, user_id) VALUES (?, ?) ON CONFLICT DO NOTHING',
+          [id, userId]);
+      }
+      return tx.get('SELECT * FROM conversations WHERE id = ?', [id]);
     });
   },
 
-  // Message operations
-  createMessage: (conversationId, senderId, content, type = 'text') => {
-    return new Promise((resolve, reject) => {
-      const id = uuidv4();
-      const createdAt = new Date().toISOString();
-
-      db.run(
-        'INSERT INTO messages (id, conversation_id, sender_id, content, type, created_at) VALUES (?, ?, ?, ?, ?, ?)',
-        [id, conversationId, senderId, content, type, createdAt],
-        function (err) {
-          if (err) reject(err);
-          else resolve({ id, conversationId, senderId, content, type, createdAt });
-        }
+  getConversation: (conversationId) => {
+    return db.get('SELECT * FROM conversations WHERE id = ?', [conversationId]);
+  },
+
+  renameConversation: async (conversationId, name) => {
+    await db.run('UPDATE conversations SET name = ? WHERE id = ?', [name, conversationId]);
+    return { success: true };
+  },
+
+  // Add users to a conversation; resolves to the ids that were not already in it
+  addConversationParticipants: async (conversationId, userIds) => {
+    const added = [];
+    for (const userId of userIds) {
+      const { changes } = await db.run(
+        'INSERT INTO conversation_participants (conversation_id, user_id) VALUES (?, ?) ON CONFLICT DO NOTHING',
+        [conversationId, userId]
       );
+      if (changes) added.push(userId);
+    }
+    return added;
+  },
+
+  removeConversationParticipant: async (conversationId, userId) => {
+    const { changes } = await db.run('DELETE FROM conversation_participants WHERE conversation_id = ? AND user_id = ?',
+      [conversationId, userId]);
+    return { success: true, changes };
+  },
+
+  getConversationMembers: (conversationId) => {
+    return db.all(`
+      SELECT u.id, u.username, u.avatar, ${publicStatusSql('u')} as status, cp.joined_at
+      FROM conversation_participants cp
+      JOIN users u ON cp.user_id = u.id
+      WHERE cp.conversation_id = ?
+      ORDER BY cp.joined_at ASC
+    `, [conversationId]);
+  },
+
+  // One row per conversation. Private chats fill the other_* columns with the
+  // other user; every row lists all other participants in `participants`.
+  // Message requests are left out, unless `requests` asks for pending ones only.
+  getConversations: async (userId, { requests = false } = {}) => {
+    const rows = await db.all(`
+      SELECT
+        c.id,
+        c.type,
+        c.name,
+        c.created_by,
+        c.created_at,
+        u.id as other_user_id,
+        ${usernameSql('u')} as other_username,
+        u.avatar as other_avatar,
+        u.status as other_status,
+        u.privacy_last_seen as other_privacy_last_seen,
+        ${contactSql('u.id')} as other_is_contact,
+        ${blockedViewerSql('u.id')} as other_blocked_viewer,
+        (SELECT COUNT(*) FROM conversation_participants WHERE conversation_id = c.id) as participant_count,
+        (SELECT content FROM messages WHERE conversation_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message,
+        (SELECT created_at FROM messages WHERE conversation_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message_time,
+        ${unreadCountSql('conversation', 'c.id', 'cp.user_id')} as unread_count
+      FROM conversations c
+      JOIN conversation_participants cp ON c.id = cp.conversation_id
+      LEFT JOIN conversation_participants cp2 ON c.type = 'private'
+        AND c.id = cp2.conversation_id AND cp2.user_id != cp.user_id
+      LEFT JOIN users u ON cp2.user_id = u.id
+      WHERE cp.user_id = ? AND ${requests ? "cp.request_state = 'pending'" : 'cp.request_state IS NULL'}
+      ORDER BY last_message_time DESC NULLS LAST
+    `, [userId, userId, userId]);
+    if (rows.length === 0) return [];
+
+    const placeholders = rows.map(() => '?').join(', ');
+    const participantRows = await db.all(`
+      SELECT cp.conversation_id, u.id, u.username, u.avatar, ${publicStatusSql('u')} as status
+      FROM conversation_participants cp
+      JOIN users u ON cp.user_id = u.id
+      WHERE cp.conversation_id IN (${placeholders}) AND cp.user_id != ?
+      ORDER BY cp.joined_at ASC
+    `, [...rows.map(row => row.id), userId]);
+
+    const byConversation = new Map(rows.map(row => [row.id, []]));
+    participantRows.forEach(({ conversation_id, ...participant }) => {
+      byConversation.get(conversation_id).push(participant);
     });
+    return rows.map(({ other_privacy_last_seen, other_is_contact, other_blocked_viewer, ...row }) => {
+      const other = { id: row.other_user_id, is_contact: other_is_contact, blocked_viewer: other_blocked_viewer };
+      if (!isVisible(other_privacy_last_seen, other, userId)) row.other_status = null;
+      return { ...row, participants: byConversation.get(row.id) };
+    });
+  },
+
+  // Message operations
+  createMessage: async (conversationId, senderId, content, type = 'text', { replyTo = null, threadRoot = null, attachmentId = null } = {}) => {
+    const id = uuidv4();
+    const createdAt = new Date().toISOString();
+
+    await db.run(
+      'INSERT INTO messages (id, conversation_id, sender_id, content, type, reply_to, thread_root, attachment_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [id, conversationId, senderId, content, type, replyTo, threadRoot, attachmentId, createdAt]
+    );
+    return { id, conversationId, senderId, content, type, replyTo, threadRoot, attachmentId, createdAt };
   },
 
-  getMessages: (conversationId, limit = 50) => {
-    return new Promise((resolve, reject) => {
-      db.all(`
-        SELECT 
+  // Page of conversation history, see getMessagePage for `options`
+  getMessages: (conversationId, options) => {
+    return getMessagePage({
+      chatType: 'conversation',
+      alias: 'm',
+      chatId: conversationId,
+      select: `
+        SELECT
           m.id,
           m.conversation_id,
           m.sender_id,
           m.content,
           m.type,
           m.created_at,
-          u.username as sender_username
+          m.edited_at,
+          m.deleted_at,
+          m.reply_to,
+          m.thread_root,
+          m.attachment_id,
+          ${usernameSql('u')} as sender_username,
+          ${threadColumnsSql('conversation', 'm')}
         FROM messages m
-        JOIN users u ON m.sender_id = u.id
-        WHERE m.conversation_id = ?
-        ORDER BY m.created_at ASC
-        LIMIT ?
-      `, [conversationId, limit], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows || []);
-      });
-    });
+        JOIN users u ON m.sender_id = u.id`
+    }, options);
   },
 
-  getConversationParticipants: (conversationId) => {
-    return new Promise((resolve, reject) => {
-      db.all(`
-        SELECT user_id FROM conversation_participants WHERE conversation_id = ?
-      `, [conversationId], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows ? rows.map(r => r.user_id) : []);
-      });
-    });
+  getConversationParticipants: async (conversationId) => {
+    const rows = await db.all(`
+      SELECT user_id FROM conversation_participants WHERE conversation_id = ?
+    `, [conversationId]);
+    return rows.map(r => r.user_id);
+  },
+
+  // Participants a new message from `senderId` goes to: not those who declined
+  // the conversation as a message request or blocked the sender
+  getConversationRecipients: async (conversationId, senderId) => {
+    const rows = await db.all(`
+      SELECT user_id FROM conversation_participants
+      WHERE conversation_id = ? AND request_state IS DISTINCT FROM 'declined'
+        AND user_id NOT IN (SELECT blocker_id FROM blocks WHERE blocked_id = ?)
+    `, [conversationId, senderId]);
+    return rows.map(r => r.user_id);
+  },
+
+  // 'pending', 'declined' or null (accepted, or never a request)
+  getRequestState: async (conversationId, userId) => {
+    const row = await db.get(
+      'SELECT request_state FROM conversation_participants WHERE conversation_id = ? AND user_id = ?',
+      [conversationId, userId]
+    );
+    return row ? row.request_state : null;
+  },
+
+  // Move a participant's message request to 'pending', 'declined' or NULL (accepted)
+  setRequestState: async (conversationId, userId, state) => {
+    const { changes } = await db.run(`
+      UPDATE conversation_participants SET request_state = ?
+      WHERE conversation_id = ? AND user_id = ? AND request_state IS NOT NULL
+    `, [state, conversationId, userId]);
+    return { success: true, changes };
+  },
+
+  isConversationParticipant: async (conversationId, userId) => {
+    const row = await db.get(
+      'SELECT 1 FROM conversation_participants WHERE conversation_id = ? AND user_id = ?',
+      [conversationId, userId]
+    );
+    return !!row;
   },
 
   verifyPassword: (password, hash) => {
     return bcrypt.compareSync(password, hash);
   },
 
-  updateProfile: (userId, updates) => {
-    return new Promise((resolve, reject) => {
-      const fields = [];
-      const values = [];
+  updateProfile: async (userId, updates) => {
+    const fields = [];
+    const values = [];
 
-      if (updates.display_name !== undefined) {
-        fields.push('display_name = ?');
-        values.push(updates.display_name);
-      }
-      if (updates.bio !== undefined) {
-        fields.push('bio = ?');
-        values.push(updates.bio);
-      }
-      if (updates.avatar !== undefined) {
-        fields.push('avatar = ?');
-        values.push(updates.avatar);
+    if (updates.display_name !== undefined) {
+      fields.push('display_name = ?');
+      values.push(updates.display_name);
+    }
+    if (updates.bio !== undefined) {
+      fields.push('bio = ?');
+      values.push(updates.bio);
+    }
+    if (updates.avatar !== undefined) {
+      fields.push('avatar = ?');
+      values.push(updates.avatar);
+    }
+    if (updates.username !== undefined) {
+      fields.push('username = ?');
+      values.push(updates.username);
+    }
+
+    if (fields.length === 0) {
+      return { success: true };
+    }
+
+    values.push(userId);
+
+    const { changes } = await db.run(`UPDATE users SET ${fields.join(', ')} WHERE id = ?`, values);
+    return { success: true, changes };
+  },
+
+  // Delete an account and everything tied to it in one transaction. Groups
+  // and channels the user owns pass to their longest-standing admin (else
+  // member); chats nobody else is left in are dissolved. With `anonymize`
+  // the user's messages stay, attributed to a tombstone account without
+  // profile or login, instead of being deleted. Resolves to the chats the
+  // user left, transferred and dissolved, and the storage keys of deleted files.
+  deleteUser: (id, { anonymize = false } = {}) => db.transaction(async (tx) => {
+    const result = { left: [], transferred: [], dissolved: [], storageKeys: [] };
+
+    for (const [chatType, { table, chatColumn, parentTable }] of Object.entries(MEMBER_TABLES)) {
+      const chats = await tx.all(`
+        SELECT p.id, p.owner_id,
+          (SELECT m.user_id FROM ${table} m WHERE m.${chatColumn} = p.id AND m.user_id != ?
+            ORDER BY m.role = 'admin' DESC, m.joined_at ASC, m.user_id ASC LIMIT 1) as successor_id
+        FROM ${parentTable} p
+        WHERE p.owner_id = ? OR p.id IN (SELECT ${chatColumn} FROM ${table} WHERE user_id = ?)
+      `, [id, id, id]);
+
+      for (const chat of chats) {
+        if (!chat.successor_id) {
+          result.storageKeys.push(...await deleteChat(tx, chatType, chat.id));
+          result.dissolved.push({ chatType, chatId: chat.id });
+          continue;
+        }
+        if (chat.owner_id === id) {
+          await tx.run(`UPDATE ${parentTable} SET owner_id = ? WHERE id = ?`, [chat.successor_id, chat.id]);
+          await tx.run(`UPDATE ${table} SET role = 'admin' WHERE ${chatColumn} = ? AND user_id = ?`,
+            [chat.id, chat.successor_id]);
+          result.transferred.push({ chatType, chatId: chat.id, ownerId: chat.successor_id });
+        }
+        result.left.push({ chatType, chatId: chat.id });
       }
-      if (updates.username !== undefined) {
-        fields.push('username = ?');
-        values.push(updates.username);
+      await tx.run(`DELETE FROM ${table} WHERE user_id = ?`, [id]);
+    }
+
+    const conversations = await tx.all(`
+      SELECT cp.conversation_id as id,
+        (SELECT COUNT(*) FROM conversation_participants o
+          WHERE o.conversation_id = cp.conversation_id AND o.user_id != cp.user_id) as others
+      FROM conversation_participants cp
+      WHERE cp.user_id = ?
+    `, [id]);
+    for (const conversation of conversations) {
+      if (conversation.others === 0) {
+        result.storageKeys.push(...await deleteChat(tx, 'conversation', conversation.id));
+        result.dissolved.push({ chatType: 'conversation', chatId: conversation.id });
+      } else {
+        result.left.push({ chatType: 'conversation', chatId: conversation.id });
       }
+    }
+    await tx.run('DELETE FROM conversation_participants WHERE user_id = ?', [id]);
 
-      if (fields.length === 0) {
-        return resolve({ success: true });
+    // Anonymised messages keep their files; the avatar goes either way
+    if (!anonymize) {
+      for (const chatType of Object.keys(CHAT_TABLES)) {
+        await deleteMessages(tx, chatType, 'sender_id = ?', [id]);
       }
+      await tx.run('DELETE FROM calls WHERE caller_id = ? OR callee_id = ?', [id, id]);
+    }
+    const fileFilter = anonymize ? `AND chat_type = 'profile'` : '';
+    const files = await tx.all(`SELECT storage_key FROM attachments WHERE uploader_id = ? ${fileFilter}`, [id]);
+    await tx.run(`DELETE FROM attachments WHERE uploader_id = ? ${fileFilter}`, [id]);
+    result.storageKeys.push(...files.map(file => file.storage_key));
 
-      values.push(userId);
+    await tx.run('DELETE FROM sessions WHERE user_id = ?', [id]);
+    await tx.run('DELETE FROM read_markers WHERE user_id = ?', [id]);
+    await tx.run('DELETE FROM hidden_messages WHERE user_id = ?', [id]);
+    await tx.run('DELETE FROM message_reactions WHERE user_id = ?', [id]);
+    await tx.run('DELETE FROM channel_post_views WHERE user_id = ?', [id]);
+    await tx.run('DELETE FROM invites WHERE created_by = ?', [id]);
+    await tx.run(`DELETE FROM sync_events WHERE scope_type = 'user' AND scope_id = ?`, [id]);
+    // Logged messages and edits hold the content and the real username
+    await tx.run('DELETE FROM sync_events WHERE sender_id = ?', [id]);
+    await tx.run('DELETE FROM contacts WHERE user_id = ? OR contact_id = ?', [id, id]);
+    await tx.run('DELETE FROM blocks WHERE blocker_id = ? OR blocked_id = ?', [id, id]);
 
-      db.run(
-        `UPDATE users SET ${fields.join(', ')} WHERE id = ?`,
-        values,
-        function (err) {
-          if (err) reject(err);
-          else resolve({ success: true, changes: this.changes });
-        }
-      );
+    if (anonymize) {
+      await tx.run(`
+        UPDATE users SET username = ?, display_name = ?, email = ?, password = '',
+          avatar = NULL, bio = NULL, status = 'offline', last_seen = NULL,
+          status_text = NULL, status_emoji = NULL, status_expires_at = NULL,
+          privacy_last_seen = 'nobody', privacy_profile = 'nobody', deleted_at = ?
+        WHERE id = ?
+      `, [`deleted-${id}`, DELETED_USERNAME, `${id}@deleted.invalid`, new Date().toISOString(), id]);
+    } else {
+      await tx.run('DELETE FROM users WHERE id = ?', [id]);
+    }
+    return result;
+  }),
+
+  // Profile of `id` as `viewerId` may see it (everything when viewing yourself)
+  getFullUser: async (id, viewerId = id) => {
+    const row = await db.get(`
+      SELECT ${PROFILE_COLUMNS}, ${contactSql('u.id')} as is_contact,
+        ${blockedViewerSql('u.id')} as blocked_viewer
+      FROM users u
+      WHERE u.id = ?
+    `, [viewerId, viewerId, id]);
+    return applyPrivacy(row, viewerId);
+  },
+
+  // ===================== SESSION OPERATIONS =====================
+  createSession: async (userId, device, ip) => {
+    const id = uuidv4();
+    const createdAt = new Date().toISOString();
+    await db.run(
+      'INSERT INTO sessions (id, user_id, device, ip, created_at, last_active_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, userId, device, ip, createdAt, createdAt]
+    );
+    return { id, userId, device, ip, createdAt };
+  },
+
+  // Active (not revoked) session by id
+  getSession: (id) => {
+    return db.get('SELECT * FROM sessions WHERE id = ? AND revoked_at IS NULL', [id]);
+  },
+
+  getUserSessions: (userId) => {
+    return db.all(`
+      SELECT id, device, ip, created_at, last_active_at
+      FROM sessions
+      WHERE user_id = ? AND revoked_at IS NULL
+      ORDER BY last_active_at DESC
+    `, [userId]);
+  },
+
+  touchSession: async (id) => {
+    await db.run('UPDATE sessions SET last_active_at = ? WHERE id = ?', [new Date().toISOString(), id]);
+  },
+
+  // Move an active session past refresh token `version`, retiring the tokens
+  // issued at it. Resolves to the new version, or null if the session has
+  // moved on already (the token was exchanged before) or was revoked.
+  rotateSessionRefresh: async (id, version) => {
+    const { changes } = await db.run(`
+      UPDATE sessions SET refresh_version = refresh_version + 1, last_active_at = ?
+      WHERE id = ? AND refresh_version = ? AND revoked_at IS NULL
+    `, [new Date().toISOString(), id, version]);
+    return changes ? version + 1 : null;
+  },
+
+  revokeSession: async (id, userId) => {
+    const { changes } = await db.run(
+      'UPDATE sessions SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [new Date().toISOString(), id, userId]
+    );
+    return { success: true, changes };
+  },
+
+  // ===================== SEARCH OPERATIONS =====================
+  // Full-text search over every chat the user belongs to, best matches first.
+  // filters: senderId, chatType, chatId, type, from, to (ISO dates), limit, offset
+  searchMessages: async (userId, text, filters = {}) => {
+    const search = MESSAGE_SEARCH[db.dialect];
+    const query = search.toQuery(text);
+    if (!query) return { results: [], has_more: false };
+
+    const limit = pageLimit(filters.limit, 20, 50);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+    const conditions = [
+      search.match,
+      `((s.chat_type = 'conversation' AND s.chat_id IN
+          (SELECT conversation_id FROM conversation_participants WHERE user_id = ?))
+        OR (s.chat_type = 'group' AND s.chat_id IN
+          (SELECT group_id FROM group_members WHERE user_id = ?))
+        OR (s.chat_type = 'channel' AND s.chat_id IN
+          (SELECT channel_id FROM channel_members WHERE user_id = ?)))`,
+      `NOT EXISTS (SELECT 1 FROM hidden_messages h
+        WHERE h.chat_type = s.chat_type AND h.message_id = s.message_id AND h.user_id = ?)`
+    ];
+    const params = [query, userId, userId, userId, userId];
+
+    if (filters.senderId) {
+      conditions.push('s.sender_id = ?');
+      params.push(filters.senderId);
+    }
+    if (filters.chatType) {
+      conditions.push('s.chat_type = ?');
+      params.push(filters.chatType);
+    }
+    if (filters.chatId) {
+      conditions.push('s.chat_id = ?');
+      params.push(filters.chatId);
+    }
+    if (filters.type) {
+      conditions.push('s.type = ?');
+      params.push(filters.type);
+    }
+    if (filters.from) {
+      conditions.push('s.created_at >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push('s.created_at <= ?');
+      params.push(filters.to);
+    }
+
+    const rows = await db.all(`
+      SELECT
+        s.message_id,
+        s.chat_type,
+        s.chat_id,
+        s.sender_id,
+        ${usernameSql('u')} as sender_username,
+        s.type,
+        s.created_at,
+        ${search.snippet} as snippet
+      FROM ${search.from}
+      JOIN users u ON u.id = s.sender_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${search.rank}, s.created_at DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit + 1, offset]);
+    const results = rows.slice(0, limit).map(row => ({ ...row, snippet: highlightSnippet(row.snippet) }));
+    return { results, has_more: rows.length > limit };
+  },
+
+  // ===================== SYNC OPERATIONS =====================
+  // Append an event to the sync log, resolves to its sequence number
+  appendEvent: async (scopeType, scopeId, type, payload, { senderId = null, messageId = null } = {}) => {
+    const row = await db.get(`
+      INSERT INTO sync_events (scope_type, scope_id, type, payload, sender_id, message_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?) RETURNING seq
+    `, [scopeType, scopeId, type, JSON.stringify(payload), senderId, messageId, new Date().toISOString()]);
+    return row.seq;
+  },
+
+  getLatestEventSeq: async () => {
+    const row = await db.get('SELECT MAX(seq) as seq FROM sync_events');
+    return row && row.seq ? row.seq : 0;
+  },
+
+  // Events after `sinceSeq` in every scope the user currently belongs to, oldest
+  // first. Like live delivery (see getConversationRecipients), conversations the
+  // user declined and messages from users they blocked are left out.
+  getEventsSince: async (userId, sinceSeq, limit = 500) => {
+    const rows = await db.all(`
+      SELECT seq, type, payload
+      FROM sync_events e
+      WHERE e.seq > ? AND (
+        (e.scope_type = 'conversation' AND e.scope_id IN
+          (SELECT conversation_id FROM conversation_participants
+            WHERE user_id = ? AND request_state IS DISTINCT FROM 'declined')
+          AND (e.sender_id IS NULL OR e.sender_id NOT IN (SELECT blocked_id FROM blocks WHERE blocker_id = ?)))
+        OR (e.scope_type = 'group' AND e.scope_id IN
+          (SELECT group_id FROM group_members WHERE user_id = ?))
+        OR (e.scope_type = 'channel' AND e.scope_id IN
+          (SELECT channel_id FROM channel_members WHERE user_id = ?))
+        OR (e.scope_type = 'user' AND e.scope_id = ?)
+      )
+      ORDER BY e.seq ASC
+      LIMIT ?
+    `, [sinceSeq, userId, userId, userId, userId, userId, limit]);
+    return rows.map(row => ({
+      ...JSON.parse(row.payload),
+      type: row.type,
+      seq: row.seq
+    }));
+  },
+
+  // ===================== EDIT / DELETE OPERATIONS =====================
+  // One message of a conversation, group or channel
+  getChatMessage: (chatType, chatId, messageId) => {
+    const { table, chatColumn } = CHAT_TABLES[chatType];
+    return db.get(`SELECT * FROM ${table} WHERE id = ? AND ${chatColumn} = ?`, [messageId, chatId]);
+  },
+
+  // Replace a message's content, keeping the previous content as a revision
+  editMessage: async (chatType, messageId, editorId, content) => {
+    const { table } = CHAT_TABLES[chatType];
+    const editedAt = new Date().toISOString();
+    await db.transaction(async (tx) => {
+      await tx.run(`
+        INSERT INTO message_revisions (chat_type, message_id, content, edited_by, edited_at)
+        SELECT ?, id, content, ?, ? FROM ${table} WHERE id = ?
+      `, [chatType, editorId, editedAt, messageId]);
+      await tx.run(`UPDATE ${table} SET content = ?, edited_at = ? WHERE id = ?`, [content, editedAt, messageId]);
     });
+    return { id: messageId, content, edited_at: editedAt };
+  },
+
+  getReplyCount: async (chatType, threadRoot) => {
+    const { table } = CHAT_TABLES[chatType];
+    const row = await db.get(
+      `SELECT COUNT(*) as count FROM ${table} WHERE thread_root = ? AND deleted_at IS NULL`,
+      [threadRoot]
+    );
+    return row.count;
   },
 
-  deleteUser: (id) => {
-    return new Promise((resolve, reject) => {
-      db.serialize(() => {
-        // Delete user's messages
-        db.run('DELETE FROM messages WHERE sender_id = ?', [id]);
-        // Delete user from conversation participants
-        db.run('DELETE FROM conversation_participants WHERE user_id = ?', [id]);
-        // Delete the user
-        db.run('DELETE FROM users WHERE id = ?', [id], function (err) {
-          if (err) reject(err);
-          else resolve({ success: true, changes: this.changes });
-        });
-      });
+  getMessageRevisions: (chatType, messageId) => {
+    return db.all(`
+      SELECT content, edited_by, edited_at
+      FROM message_revisions
+      WHERE chat_type = ? AND message_id = ?
+      ORDER BY id ASC
+    `, [chatType, messageId]);
+  },
+
+  // Whole history of a chat as `viewerId` sees it, oldest first, for exports
+  getChatHistory: (chatType, chatId, viewerId) => {
+    const { table, chatColumn } = CHAT_TABLES[chatType];
+    return db.all(`
+      SELECT m.id, m.sender_id, ${usernameSql('u')} as sender_username, m.content, m.type,
+        m.created_at, m.edited_at, m.reply_to, m.thread_root, m.attachment_id
+      FROM ${table} m
+      LEFT JOIN users u ON u.id = m.sender_id
+      WHERE m.${chatColumn} = ? AND m.deleted_at IS NULL
+        AND NOT EXISTS (SELECT 1 FROM hidden_messages h
+          WHERE h.chat_type = ? AND h.message_id = m.id AND h.user_id = ?)
+      ORDER BY m.created_at ASC, m.id ASC
+    `, [chatId, chatType, viewerId]);
+  },
+
+  // Delete for everyone: the row stays as a tombstone without content,
+  // revisions or attachment, and the logged events that carried its content go.
+  // Resolves with the storage keys of removed files.
+  deleteMessage: async (chatType, messageId) => {
+    const { table } = CHAT_TABLES[chatType];
+    const deletedAt = new Date().toISOString();
+    const storageKeys = await db.transaction(async (tx) => {
+      const message = await tx.get(`SELECT attachment_id FROM ${table} WHERE id = ?`, [messageId]);
+      await tx.run('DELETE FROM message_revisions WHERE chat_type = ? AND message_id = ?', [chatType, messageId]);
+      await tx.run(`UPDATE ${table} SET content = '', attachment_id = NULL, deleted_at = ? WHERE id = ?`, [deletedAt, messageId]);
+      await tx.run('DELETE FROM sync_events WHERE scope_type = ? AND message_id = ?', [chatType, messageId]);
+      if (!message || !message.attachment_id) return [];
+
+      // The file goes only once no other message of the chat shows it
+      const file = await tx.get(`
+        SELECT storage_key FROM attachments a
+        WHERE a.id = ? AND NOT EXISTS (SELECT 1 FROM ${table} WHERE attachment_id = a.id)
+      `, [message.attachment_id]);
+      if (!file) return [];
+      await tx.run('DELETE FROM attachments WHERE id = ?', [message.attachment_id]);
+      return [file.storage_key];
     });
+    return { id: messageId, deleted_at: deletedAt, storageKeys };
+  },
+
+  // Delete for me: hide the message from one user's history
+  hideMessage: async (chatType, messageId, userId) => {
+    await db.run(
+      'INSERT INTO hidden_messages (chat_type, message_id, user_id, hidden_at) VALUES (?, ?, ?, ?) ON CONFLICT DO NOTHING',
+      [chatType, messageId, userId, new Date().toISOString()]
+    );
+    return { success: true };
+  },
+
+  // ===================== REACTION OPERATIONS =====================
+  // Resolves true when the reaction was added, false if it already existed
+  addReaction: async (chatType, messageId, userId, emoji) => {
+    const { changes } = await db.run(
+      'INSERT INTO message_reactions (chat_type, message_id, user_id, emoji, created_at) VALUES (?, ?, ?, ?, ?) ON CONFLICT DO NOTHING',
+      [chatType, messageId, userId, emoji, new Date().toISOString()]
+    );
+    return changes > 0;
   },
 
-  getFullUser: (id) => {
-    return new Promise((resolve, reject) => {
-      db.get('SELECT id, username, display_name, email, avatar, bio, status FROM users WHERE id = ?', [id], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
+  // Resolves true when a reaction was removed
+  removeReaction: async (chatType, messageId, userId, emoji) => {
+    const { changes } = await db.run(
+      'DELETE FROM message_reactions WHERE chat_type = ? AND message_id = ? AND user_id = ? AND emoji = ?',
+      [chatType, messageId, userId, emoji]
+    );
+    return changes > 0;
+  },
+
+  getReactionCount: async (chatType, messageId, emoji) => {
+    const row = await db.get(
+      'SELECT COUNT(*) as count FROM message_reactions WHERE chat_type = ? AND message_id = ? AND emoji = ?',
+      [chatType, messageId, emoji]
+    );
+    return row.count;
+  },
+
+  // ===================== ATTACHMENT OPERATIONS =====================
+  createAttachment: async (attachment) => {
+    const id = uuidv4();
+    const createdAt = new Date().toISOString();
+    const {
+      uploaderId, chatType, chatId, storageKey, fileName,
+      mimeType, size, checksum, width = null, height = null, duration = null
+    } = attachment;
+
+    await db.run(`
+      INSERT INTO attachments
+        (id, uploader_id, chat_type, chat_id, storage_key, file_name, mime_type, size, checksum, width, height, duration, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [id, uploaderId, chatType, chatId, storageKey, fileName, mimeType, size, checksum, width, height, duration, createdAt]);
+    return {
+      id, file_name: fileName, mime_type: mimeType, size, checksum,
+      width, height, duration, created_at: createdAt
+    };
+  },
+
+  // Full attachment row, including storage key and owning chat
+  getAttachment: (id) => {
+    return db.get('SELECT * FROM attachments WHERE id = ?', [id]);
+  },
+
+  // Whether a message of the attachment's chat already carries it
+  isAttachmentSent: async (chatType, attachmentId) => {
+    const { table } = CHAT_TABLES[chatType];
+    return !!(await db.get(`SELECT 1 FROM ${table} WHERE attachment_id = ? LIMIT 1`, [attachmentId]));
+  },
+
+  // Files a user uploaded, with the chat each belongs to
+  getUserAttachments: (userId) => {
+    return db.all(`
+      SELECT ${ATTACHMENT_COLUMNS}, chat_type, chat_id, storage_key
+      FROM attachments
+      WHERE uploader_id = ?
+      ORDER BY created_at ASC
+    `, [userId]);
+  },
+
+  // ===================== RECEIPT OPERATIONS =====================
+  // Move a user's 'delivered' or 'read' marker forward to a message. Markers
+  // never move backwards; reading a message also marks it delivered. Resolves
+  // to the new marker, or null when it was already at or past that message.
+  markChat: async (chatType, chatId, userId, kind, messageId) => {
+    const { table, chatColumn } = CHAT_TABLES[chatType];
+    const row = await db.get(`SELECT created_at FROM ${table} WHERE id = ? AND ${chatColumn} = ?`, [messageId, chatId]);
+    if (!row) throw badRequest('Unknown message');
+
+    const kinds = kind === 'read' ? ['delivered', 'read'] : ['delivered'];
+    let advanced = false;
+    await db.transaction(async (tx) => {
+      for (const k of kinds) {
+        const { changes } = await tx.run(`
+          INSERT INTO read_markers (chat_type, chat_id, user_id, ${k}_message_id, ${k}_up_to)
+          VALUES (?, ?, ?, ?, ?)
+          ON CONFLICT (chat_type, chat_id, user_id) DO UPDATE SET
+            ${k}_message_id = excluded.${k}_message_id,
+            ${k}_up_to = excluded.${k}_up_to
+          WHERE read_markers.${k}_up_to IS NULL OR read_markers.${k}_up_to < excluded.${k}_up_to
+        `, [chatType, chatId, userId, messageId, row.created_at]);
+        if (k === kind && changes > 0) advanced = true;
+      }
     });
+    return advanced ? { messageId, upTo: row.created_at } : null;
+  },
+
+  getReadMarkers: (chatType, chatId) => {
+    return db.all(`
+      SELECT user_id, delivered_message_id, delivered_up_to, read_message_id, read_up_to
+      FROM read_markers
+      WHERE chat_type = ? AND chat_id = ?
+    `, [chatType, chatId]);
   },
 
   // ===================== CHANNEL OPERATIONS =====================
-  createChannel: (name, description, ownerId) => {
-    return new Promise((resolve, reject) => {
-      const id = uuidv4();
-      db.run(
-        'INSERT INTO channels (id, name, description, owner_id) VALUES (?, ?, ?, ?)',
-        [id, name, description, ownerId],
-        function (err) {
-          if (err) reject(err);
-          else {
-            // Add owner as admin
-            db.run('INSERT INTO channel_members (channel_id, user_id, role) VALUES (?, ?, ?)',
-              [id, ownerId, 'admin'], () => { });
-            resolve({ id, name, description, ownerId });
-          }
-        }
+  createChannel: async (name, description, ownerId, { visibility = 'private', handle = null } = {}) => {
+    const id = uuidv4();
+    await db.transaction(async (tx) => {
+      await tx.run(
+        'INSERT INTO channels (id, name, description, owner_id, visibility, handle) VALUES (?, ?, ?, ?, ?, ?)',
+        [id, name, description, ownerId, visibility, handle]
       );
+      // Add owner as admin
+      await tx.run('INSERT INTO channel_members (channel_id, user_id, role) VALUES (?, ?, ?)', [id, ownerId, 'admin']);
     });
+    return { id, name, description, ownerId, visibility, handle };
+  },
+
+  getChannelById: (channelId) => {
+    return db.get(`
+      SELECT c.*, (SELECT COUNT(*) FROM channel_members WHERE channel_id = c.id) as member_count
+      FROM channels c
+      WHERE c.id = ?
+    `, [channelId]);
+  },
+
+  getChannelByHandle: (handle) => {
+    return db.get(`
+      SELECT c.*, (SELECT COUNT(*) FROM channel_members WHERE channel_id = c.id) as member_count
+      FROM channels c
+      WHERE c.handle = ?
+    `, [handle]);
+  },
+
+  // Update name, description, avatar, visibility and/or handle; omitted fields are kept
+  updateChannel: async (channelId, updates) => {
+    const columns = ['name', 'description', 'avatar', 'visibility', 'handle']
+      .filter(column => updates[column] !== undefined);
+    if (columns.length === 0) {
+      return { success: true };
+    }
+    await db.run(
+      `UPDATE channels SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map(column => updates[column]), channelId]
+    );
+    return { success: true };
+  },
+
+  // Public channels matching `query` by name, handle or description, biggest first
+  searchChannelDirectory: async (query, viewerId, { limit, offset }) => {
+    const pattern = `%${query.replace(/[\\%_]/g, match => '\\' + match)}%`;
+    const rows = await db.all(`
+      SELECT c.id, c.name, c.description, c.avatar, c.handle, c.created_at,
+        (SELECT COUNT(*) FROM channel_members WHERE channel_id = c.id) as member_count,
+        EXISTS (SELECT 1 FROM channel_members WHERE channel_id = c.id AND user_id = ?) as is_member
+      FROM channels c
+      WHERE c.visibility = 'public'
+        AND (LOWER(c.name) LIKE LOWER(?) ESCAPE '\\' OR LOWER(c.handle) LIKE LOWER(?) ESCAPE '\\'
+          OR LOWER(c.description) LIKE LOWER(?) ESCAPE '\\')
+      ORDER BY member_count DESC, c.created_at DESC
+      LIMIT ? OFFSET ?
+    `, [viewerId, pattern, pattern, pattern, limit, offset]);
+    return rows.map(row => ({ ...row, is_member: !!row.is_member }));
+  },
+
+  // Count a view of each post by this user (once per user) and return the new counts
+  recordChannelViews: async (channelId, userId, messageIds) => {
+    const placeholders = messageIds.map(() => '?').join(', ');
+    await db.run(`
+      INSERT INTO channel_post_views (message_id, user_id)
+      SELECT id, ? FROM channel_messages
+      WHERE channel_id = ? AND deleted_at IS NULL AND id IN (${placeholders})
+      ON CONFLICT DO NOTHING
+    `, [userId, channelId, ...messageIds]);
+    return db.all(`
+      SELECT message_id, COUNT(*) as view_count
+      FROM channel_post_views
+      WHERE message_id IN (${placeholders})
+      GROUP BY message_id
+    `, messageIds);
   },
 
   getUserChannels: (userId) => {
-    return new Promise((resolve, reject) => {
-      db.all(`
-        SELECT c.*, cm.role,
-          (SELECT content FROM channel_messages WHERE channel_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message,
-          (SELECT created_at FROM channel_messages WHERE channel_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message_time,
-          (SELECT COUNT(*) FROM channel_members WHERE channel_id = c.id) as member_count
-        FROM channels c
-        JOIN channel_members cm ON c.id = cm.channel_id
-        WHERE cm.user_id = ?
-        ORDER BY last_message_time DESC
-      `, [userId], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows || []);
-      });
-    });
+    return db.all(`
+      SELECT c.*, cm.role,
+        (SELECT content FROM channel_messages WHERE channel_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message,
+        (SELECT created_at FROM channel_messages WHERE channel_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message_time,
+        (SELECT COUNT(*) FROM channel_members WHERE channel_id = c.id) as member_count,
+        ${unreadCountSql('channel', 'c.id', 'cm.user_id')} as unread_count
+      FROM channels c
+      JOIN channel_members cm ON c.id = cm.channel_id
+      WHERE cm.user_id = ?
+      ORDER BY last_message_time DESC NULLS LAST
+    `, [userId]);
   },
 
-  joinChannel: (channelId, userId) => {
-    return new Promise((resolve, reject) => {
-      db.run('INSERT OR IGNORE INTO channel_members (channel_id, user_id, role) VALUES (?, ?, ?)',
-        [channelId, userId, 'member'],
-        function (err) {
-          if (err) reject(err);
-          else resolve({ success: true });
-        }
-      );
-    });
+  joinChannel: async (channelId, userId) => {
+    await db.run('INSERT INTO channel_members (channel_id, user_id, role) VALUES (?, ?, ?) ON CONFLICT DO NOTHING',
+      [channelId, userId, 'member']);
+    return { success: true };
   },
 
-  getChannelMessages: (channelId, limit = 50) => {
-    return new Promise((resolve, reject) => {
-      db.all(`
-        SELECT cm.*, u.username as sender_username
+  getChannelMessages: (channelId, options) => {
+    return getMessagePage({
+      chatType: 'channel',
+      alias: 'cm',
+      chatId: channelId,
+      select: `
+        SELECT cm.*, ${usernameSql('u')} as sender_username,
+          ${threadColumnsSql('channel', 'cm')},
+          (SELECT COUNT(*) FROM channel_post_views WHERE message_id = cm.id) as view_count
         FROM channel_messages cm
-        JOIN users u ON cm.sender_id = u.id
-        WHERE cm.channel_id = ?
-        ORDER BY cm.created_at ASC
-        LIMIT ?
-      `, [channelId, limit], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows || []);
-      });
-    });
+        JOIN users u ON cm.sender_id = u.id`
+    }, options);
   },
 
-  createChannelMessage: (channelId, senderId, content, type = 'text') => {
-    return new Promise((resolve, reject) => {
-      const id = uuidv4();
-      const createdAt = new Date().toISOString();
-      db.run(
-        'INSERT INTO channel_messages (id, channel_id, sender_id, content, type, created_at) VALUES (?, ?, ?, ?, ?, ?)',
-        [id, channelId, senderId, content, type, createdAt],
-        function (err) {
-          if (err) reject(err);
-          else resolve({ id, channelId, senderId, content, type, createdAt });
-        }
-      );
-    });
+  createChannelMessage: async (channelId, senderId, content, type = 'text', { replyTo = null, threadRoot = null, attachmentId = null } = {}) => {
+    const id = uuidv4();
+    const createdAt = new Date().toISOString();
+    await db.run(
+      'INSERT INTO channel_messages (id, channel_id, sender_id, content, type, reply_to, thread_root, attachment_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [id, channelId, senderId, content, type, replyTo, threadRoot, attachmentId, createdAt]
+    );
+    return { id, channelId, senderId, content, type, replyTo, threadRoot, attachmentId, createdAt };
   },
 
-  isChannelAdmin: (channelId, userId) => {
-    return new Promise((resolve, reject) => {
-      db.get(
-        'SELECT role FROM channel_members WHERE channel_id = ? AND user_id = ? AND role IN (?, ?)',
-        [channelId, userId, 'admin', 'owner'],
-        (err, row) => {
-          if (err) reject(err);
-          else resolve(!!row);
-        }
-      );
-    });
+  isChannelAdmin: async (channelId, userId) => {
+    const row = await db.get(
+      'SELECT role FROM channel_members WHERE channel_id = ? AND user_id = ? AND role IN (?, ?)',
+      [channelId, userId, 'admin', 'owner']
+    );
+    return !!row;
+  },
+
+  getChannelMemberIds: async (channelId) => {
+    const rows = await db.all('SELECT user_id FROM channel_members WHERE channel_id = ?', [channelId]);
+    return rows.map(r => r.user_id);
+  },
+
+  // Role of a user in a channel ('owner', 'admin', 'member'), or null if not a member
+  getChannelRole: async (channelId, userId) => {
+    const row = await db.get(`
+      SELECT CASE WHEN c.owner_id = cm.user_id THEN 'owner' ELSE cm.role END as role
+      FROM channel_members cm
+      JOIN channels c ON c.id = cm.channel_id
+      WHERE cm.channel_id = ? AND cm.user_id = ?
+    `, [channelId, userId]);
+    return row ? row.role : null;
   },
 
   // ===================== GROUP OPERATIONS =====================
-  createGroup: (name, description, ownerId) => {
-    return new Promise((resolve, reject) => {
-      const id = uuidv4();
-      db.run(
+  createGroup: async (name, description, ownerId) => {
+    const id = uuidv4();
+    await db.transaction(async (tx) => {
+      await tx.run(
         'INSERT INTO groups_table (id, name, description, owner_id) VALUES (?, ?, ?, ?)',
-        [id, name, description, ownerId],
-        function (err) {
-          if (err) reject(err);
-          else {
-            // Add owner as admin
-            db.run('INSERT INTO group_members (group_id, user_id, role) VALUES (?, ?, ?)',
-              [id, ownerId, 'admin'], () => { });
-            resolve({ id, name, description, ownerId });
-          }
-        }
+        [id, name, description, ownerId]
       );
+      // Add owner as admin
+      await tx.run('INSERT INTO group_members (group_id, user_id, role) VALUES (?, ?, ?)', [id, ownerId, 'admin']);
     });
+    return { id, name, description, ownerId };
   },
 
   getUserGroups: (userId) => {
-    return new Promise((resolve, reject) => {
-      db.all(`
-        SELECT g.*, gm.role,
-          (SELECT content FROM group_messages WHERE group_id = g.id ORDER BY created_at DESC LIMIT 1) as last_message,
-          (SELECT created_at FROM group_messages WHERE group_id = g.id ORDER BY created_at DESC LIMIT 1) as last_message_time,
-          (SELECT COUNT(*) FROM group_members WHERE group_id = g.id) as member_count
-        FROM groups_table g
-        JOIN group_members gm ON g.id = gm.group_id
-        WHERE gm.user_id = ?
-        ORDER BY last_message_time DESC
-      `, [userId], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows || []);
-      });
-    });
+    return db.all(`
+      SELECT g.*, gm.role,
+        (SELECT content FROM group_messages WHERE group_id = g.id ORDER BY created_at DESC LIMIT 1) as last_message,
+        (SELECT created_at FROM group_messages WHERE group_id = g.id ORDER BY created_at DESC LIMIT 1) as last_message_time,
+        (SELECT COUNT(*) FROM group_members WHERE group_id = g.id) as member_count,
+        ${unreadCountSql('group', 'g.id', 'gm.user_id')} as unread_count
+      FROM groups_table g
+      JOIN group_members gm ON g.id = gm.group_id
+      WHERE gm.user_id = ?
+      ORDER BY last_message_time DESC NULLS LAST
+    `, [userId]);
   },
 
-  joinGroup: (groupId, userId) => {
-    return new Promise((resolve, reject) => {
-      db.run('INSERT OR IGNORE INTO group_members (group_id, user_id, role) VALUES (?, ?, ?)',
-        [groupId, userId, 'member'],
-        function (err) {
-          if (err) reject(err);
-          else resolve({ success: true });
-        }
-      );
-    });
+  joinGroup: async (groupId, userId) => {
+    await db.run('INSERT INTO group_members (group_id, user_id, role) VALUES (?, ?, ?) ON CONFLICT DO NOTHING',
+      [groupId, userId, 'member']);
+    return { success: true };
   },
 
-  getGroupMessages: (groupId, limit = 50) => {
-    return new Promise((resolve, reject) => {
-      db.all(`
-        SELECT gm.*, u.username as sender_username
+  getGroupMessages: (groupId, options) => {
+    return getMessagePage({
+      chatType: 'group',
+      alias: 'gm',
+      chatId: groupId,
+      select: `
+        SELECT gm.*, ${usernameSql('u')} as sender_username,
+          ${threadColumnsSql('group', 'gm')}
         FROM group_messages gm
-        JOIN users u ON gm.sender_id = u.id
-        WHERE gm.group_id = ?
-        ORDER BY gm.created_at ASC
-        LIMIT ?
-      `, [groupId, limit], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows || []);
-      });
-    });
+        JOIN users u ON gm.sender_id = u.id`
+    }, options);
   },
 
-  createGroupMessage: (groupId, senderId, content, type = 'text') => {
-    return new Promise((resolve, reject) => {
-      const id = uuidv4();
-      const createdAt = new Date().toISOString();
-      db.run(
-        'INSERT INTO group_messages (id, group_id, sender_id, content, type, created_at) VALUES (?, ?, ?, ?, ?, ?)',
-        [id, groupId, senderId, content, type, createdAt],
-        function (err) {
-          if (err) reject(err);
-          else resolve({ id, groupId, senderId, content, type, createdAt });
-        }
+  createGroupMessage: async (groupId, senderId, content, type = 'text', { replyTo = null, threadRoot = null, attachmentId = null } = {}) => {
+    const id = uuidv4();
+    const createdAt = new Date().toISOString();
+    await db.run(
+      'INSERT INTO group_messages (id, group_id, sender_id, content, type, reply_to, thread_root, attachment_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [id, groupId, senderId, content, type, replyTo, threadRoot, attachmentId, createdAt]
+    );
+    return { id, groupId, senderId, content, type, replyTo, threadRoot, attachmentId, createdAt };
+  },
+
+  getGroupMemberIds: async (groupId) => {
+    const rows = await db.all('SELECT user_id FROM group_members WHERE group_id = ?', [groupId]);
+    return rows.map(r => r.user_id);
+  },
+
+  // Role of a user in a group ('owner', 'admin', 'member'), or null if not a member
+  getGroupRole: async (groupId, userId) => {
+    const row = await db.get(`
+      SELECT CASE WHEN g.owner_id = gm.user_id THEN 'owner' ELSE gm.role END as role
+      FROM group_members gm
+      JOIN groups_table g ON g.id = gm.group_id
+      WHERE gm.group_id = ? AND gm.user_id = ?
+    `, [groupId, userId]);
+    return row ? row.role : null;
+  },
+
+  // ===================== MEMBERSHIP OPERATIONS =====================
+  // Shared by groups and channels, `chatType` is 'group' or 'channel'
+
+  // Name, description and member count, e.g. for an invite preview
+  getChatSummary: (chatType, chatId) => {
+    const { table, chatColumn, parentTable } = MEMBER_TABLES[chatType];
+    return db.get(`
+      SELECT p.id, p.name, p.description, p.avatar,
+        (SELECT COUNT(*) FROM ${table} WHERE ${chatColumn} = p.id) as member_count
+      FROM ${parentTable} p
+      WHERE p.id = ?
+    `, [chatId]);
+  },
+
+  getChatMembers: (chatType, chatId) => {
+    const { table, chatColumn, parentTable } = MEMBER_TABLES[chatType];
+    return db.all(`
+      SELECT u.id, u.username, u.avatar, ${publicStatusSql('u')} as status, m.joined_at,
+        CASE WHEN p.owner_id = m.user_id THEN 'owner' ELSE m.role END as role
+      FROM ${table} m
+      JOIN ${parentTable} p ON p.id = m.${chatColumn}
+      JOIN users u ON m.user_id = u.id
+      WHERE m.${chatColumn} = ?
+      ORDER BY m.joined_at ASC
+    `, [chatId]);
+  },
+
+  addMember: (chatType, chatId, userId) => {
+    return chatType === 'group'
+      ? dbHelpers.joinGroup(chatId, userId)
+      : dbHelpers.joinChannel(chatId, userId);
+  },
+
+  removeMember: async (chatType, chatId, userId) => {
+    const { table, chatColumn } = MEMBER_TABLES[chatType];
+    const { changes } = await db.run(`DELETE FROM ${table} WHERE ${chatColumn} = ? AND user_id = ?`, [chatId, userId]);
+    return { success: true, changes };
+  },
+
+  setMemberRole: async (chatType, chatId, userId, role) => {
+    const { table, chatColumn } = MEMBER_TABLES[chatType];
+    const { changes } = await db.run(
+      `UPDATE ${table} SET role = ? WHERE ${chatColumn} = ? AND user_id = ?`,
+      [role, chatId, userId]
+    );
+    return { success: true, changes };
+  },
+
+  // Hand ownership to another member; the previous owner stays on as admin
+  transferOwnership: async (chatType, chatId, fromUserId, toUserId) => {
+    const { table, chatColumn, parentTable } = MEMBER_TABLES[chatType];
+    await db.transaction(async (tx) => {
+      await tx.run(`UPDATE ${parentTable} SET owner_id = ? WHERE id = ?`, [toUserId, chatId]);
+      await tx.run(
+        `UPDATE ${table} SET role = 'admin' WHERE ${chatColumn} = ? AND user_id IN (?, ?)`,
+        [chatId, fromUserId, toUserId]
       );
     });
+    return { success: true };
   },
 
-  getGroupMembers: (groupId) => {
-    return new Promise((resolve, reject) => {
-      db.all(`
-        SELECT u.id, u.username, u.avatar, u.status, gm.role
-        FROM group_members gm
-        JOIN users u ON gm.user_id = u.id
-        WHERE gm.group_id = ?
-      `, [groupId], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows || []);
-      });
-    });
+  createInvite: async (chatType, chatId, createdBy, { code, expiresAt = null, maxUses = null }) => {
+    const createdAt = new Date().toISOString();
+    await db.run(`
+      INSERT INTO invites (code, chat_type, chat_id, created_by, expires_at, max_uses, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [code, chatType, chatId, createdBy, expiresAt, maxUses, createdAt]);
+    return {
+      code, chat_type: chatType, chat_id: chatId, created_by: createdBy,
+      expires_at: expiresAt, max_uses: maxUses, uses: 0, created_at: createdAt
+    };
+  },
+
+  getInvite: (code) => {
+    return db.get('SELECT * FROM invites WHERE code = ? AND revoked_at IS NULL', [code]);
+  },
+
+  getChatInvites: (chatType, chatId) => {
+    return db.all(`
+      SELECT code, created_by, expires_at, max_uses, uses, created_at
+      FROM invites
+      WHERE chat_type = ? AND chat_id = ? AND revoked_at IS NULL
+      ORDER BY created_at DESC
+    `, [chatType, chatId]);
+  },
+
+  // Count one use of an invite; resolves false when it is revoked, expired or used up
+  consumeInvite: async (code) => {
+    const { changes } = await db.run(`
+      UPDATE invites SET uses = uses + 1
+      WHERE code = ? AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > ?)
+        AND (max_uses IS NULL OR uses < max_uses)
+    `, [code, new Date().toISOString()]);
+    return changes > 0;
+  },
+
+  revokeInvite: async (chatType, chatId, code) => {
+    const { changes } = await db.run(
+      'UPDATE invites SET revoked_at = ? WHERE code = ? AND chat_type = ? AND chat_id = ? AND revoked_at IS NULL',
+      [new Date().toISOString(), code, chatType, chatId]
+    );
+    return { success: true, changes };
+  },
+
+  // ===================== CONTACT OPERATIONS =====================
+  addContact: async (userId, contactId) => {
+    const { changes } = await db.run('INSERT INTO contacts (user_id, contact_id) VALUES (?, ?) ON CONFLICT DO NOTHING',
+      [userId, contactId]);
+    return { success: true, changes };
+  },
+
+  removeContact: async (userId, contactId) => {
+    const { changes } = await db.run('DELETE FROM contacts WHERE user_id = ? AND contact_id = ?', [userId, contactId]);
+    return { success: true, changes };
+  },
+
+  isContact: async (userId, contactId) => {
+    const row = await db.get('SELECT 1 FROM contacts WHERE user_id = ? AND contact_id = ?', [userId, contactId]);
+    return !!row;
+  },
+
+  // The user's contacts, each profile as the user may see it
+  getContacts: async (userId) => {
+    const rows = await db.all(`
+      SELECT ${PROFILE_COLUMNS}, ${contactSql('u.id')} as is_contact,
+        ${blockedViewerSql('u.id')} as blocked_viewer, c.created_at as added_at
+      FROM contacts c
+      JOIN users u ON u.id = c.contact_id
+      WHERE c.user_id = ?
+      ORDER BY LOWER(COALESCE(u.display_name, u.username))
+    `, [userId, userId, userId]);
+    return rows.map(row => applyPrivacy(row, userId));
+  },
+
+  blockUser: async (blockerId, blockedId) => {
+    const { changes } = await db.run('INSERT INTO blocks (blocker_id, blocked_id) VALUES (?, ?) ON CONFLICT DO NOTHING',
+      [blockerId, blockedId]);
+    return { success: true, changes };
+  },
+
+  unblockUser: async (blockerId, blockedId) => {
+    const { changes } = await db.run('DELETE FROM blocks WHERE blocker_id = ? AND blocked_id = ?', [blockerId, blockedId]);
+    return { success: true, changes };
+  },
+
+  hasBlocked: async (blockerId, blockedId) => {
+    const row = await db.get('SELECT 1 FROM blocks WHERE blocker_id = ? AND blocked_id = ?', [blockerId, blockedId]);
+    return !!row;
+  },
+
+  getBlockedUsers: (userId) => {
+    return db.all(`
+      SELECT u.id, u.username, u.display_name, u.avatar, b.created_at as blocked_at
+      FROM blocks b
+      JOIN users u ON u.id = b.blocked_id
+      WHERE b.blocker_id = ?
+      ORDER BY b.created_at DESC
+    `, [userId]);
+  },
+
+  // ===================== CALL OPERATIONS =====================
+  createCall: async ({ id, conversationId, callerId, calleeId, isVideo, status, startedAt }) => {
+    await db.run(
+      'INSERT INTO calls (id, conversation_id, caller_id, callee_id, is_video, status, started_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [id, conversationId, callerId, calleeId, isVideo ? 1 : 0, status, startedAt]
+    );
+    return { success: true };
+  },
+
+  updateCall: async (callId, { status, answeredAt, endedAt }) => {
+    await db.run(
+      'UPDATE calls SET status = ?, answered_at = COALESCE(?, answered_at), ended_at = COALESCE(?, ended_at) WHERE id = ?',
+      [status, answeredAt || null, endedAt || null, callId]
+    );
+    return { success: true };
+  },
+
+  // Close calls cut off by the instance handling them going away
+  endInterruptedCalls: async (callIds) => {
+    if (callIds.length === 0) return { success: true };
+    await db.run(`${END_OPEN_CALLS} AND id IN (${callIds.map(() => '?').join(', ')})`, callIds);
+    return { success: true };
+  },
+
+  // Calls the user made or received, newest first. `before` is a started_at timestamp.
+  getCallHistory: async (userId, { before, limit } = {}) => {
+    const pageSize = pageLimit(limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const params = [userId, userId, userId, userId];
+    let beforeSql = '';
+    if (before) {
+      beforeSql = 'AND c.started_at < ?';
+      params.push(before);
+    }
+    const rows = await db.all(`
+      SELECT c.*,
+        CASE WHEN c.caller_id = ? THEN 'outgoing' ELSE 'incoming' END as direction,
+        u.id as other_user_id, ${usernameSql('u')} as other_username, u.avatar as other_avatar
+      FROM calls c
+      JOIN users u ON u.id = CASE WHEN c.caller_id = ? THEN c.callee_id ELSE c.caller_id END
+      WHERE (c.caller_id = ? OR c.callee_id = ?) ${beforeSql}
+      ORDER BY c.started_at DESC
+      LIMIT ?
+    `, [...params, pageSize + 1]);
+
+    // Duration in whole seconds of answered calls
+    const calls = rows.slice(0, pageSize).map(row => ({
+      ...row,
+      is_video: !!row.is_video,
+      duration: row.answered_at && row.ended_at
+        ? Math.round((Date.parse(row.ended_at) - Date.parse(row.answered_at)) / 1000)
+        : 0
+    }));
+    return { calls, has_more: rows.length > pageSize };
   }
 };
 
-module.exports = { db, dbHelpers };
+module.exports = { db, dbHelpers, initDatabase, isUniqueViolation: db.isUniqueViolation };
@@ -0,0 +1,211 @@
+const path = require('path');
+
+// Database drivers behind dbHelpers. A driver runs SQL written with `?`
+// placeholders and answers with promises:
+//   dialect                  'sqlite' or 'postgres'
+//   run(sql, params)         -> { changes }
+//   get(sql, params)         -> first row, or undefined
+//   all(sql, params)         -> rows
+//   transaction(work)        -> runs work(tx) in a transaction, where tx has
+//                               run/get/all/columnNames; rolls back if it throws
+//   columnNames(table)       -> column names of a table, for migrations
+//   translateSchema(sql)     -> DDL from migrations in this dialect
+//   isUniqueViolation(error) -> whether a statement broke a unique constraint
+//   close()
+// DATABASE_URL picks the driver: postgres://... or postgresql://... for
+// PostgreSQL, sqlite:<file> (or a bare file path) for SQLite. Without it the
+// server uses messenger.db next to the source. DATABASE_POOL_SIZE caps the
+// PostgreSQL connections (default 10).
+
+const DEFAULT_SQLITE_FILE = path.join(__dirname, 'messenger.db');
+
+// How long SQLite waits for a transaction on another connection before
+// failing with SQLITE_BUSY
+const SQLITE_BUSY_TIMEOUT = 5000;
+
+function sqliteExecutor(connection) {
+    return {
+        run: (sql, params = []) => new Promise((resolve, reject) => {
+            connection.run(sql, params, function (err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes });
+            });
+        }),
+        get: (sql, params = []) => new Promise((resolve, reject) => {
+            connection.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        }),
+        all: (sql, params = []) => new Promise((resolve, reject) => {
+            connection.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+        }),
+        async columnNames(table) {
+            const columns = await this.all(`PRAGMA table_info(${table})`);
+            return columns.map(column => column.name);
+        }
+    };
+}
+
+async function sqliteTransaction(connection, work) {
+    const tx = sqliteExecutor(connection);
+    await tx.run('BEGIN IMMEDIATE');
+    try {
+        const result = await work(tx);
+        await tx.run('COMMIT');
+        return result;
+    } catch (error) {
+        await tx.run('ROLLBACK').catch(rollbackError => console.error('Rollback failed:', rollbackError));
+        throw error;
+    }
+}
+
+function createSqliteDriver(filename) {
+    const sqlite3 = require('sqlite3');
+    const inMemory = filename === ':memory:';
+    const openConnection = () => {
+        const connection = new sqlite3.Database(filename);
+        connection.configure('busyTimeout', SQLITE_BUSY_TIMEOUT);
+        return connection;
+    };
+    const connection = openConnection();
+    let pendingTransaction = Promise.resolve();
+
+    return {
+        dialect: 'sqlite',
+        ...sqliteExecutor(connection),
+
+        // Transactions get a connection of their own, so statements other
+        // requests send meanwhile cannot end up inside them. An in-memory
+        // database only exists on its one connection, so there they share
+        // it and take turns.
+        async transaction(work) {
+            if (inMemory) {
+                const result = pendingTransaction.then(() => sqliteTransaction(connection, work));
+                pendingTransaction = result.catch(() => { });
+                return result;
+            }
+            const txConnection = openConnection();
+            try {
+                return await sqliteTransaction(txConnection, work);
+            } finally {
+                await new Promise(resolve => txConnection.close(resolve));
+            }
+        },
+
+        translateSchema: (sql) => sql,
+
+        isUniqueViolation: (error) => error.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(error.message),
+
+        close: () => new Promise((resolve, reject) => {
+            connection.close(err => err ? reject(err) : resolve());
+        })
+    };
+}
+
+// Rewrite `?` placeholders to PostgreSQL's $1, $2, ... leaving quoted
+// strings and identifiers alone
+function toPostgresPlaceholders(sql) {
+    let index = 0;
+    let quote = null;
+    let result = '';
+    for (const char of sql) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '\'' || char === '"') {
+            quote = char;
+        } else if (char === '?') {
+            result += `$${++index}`;
+            continue;
+        }
+        result += char;
+    }
+    return result;
+}
+
+// Migrations are written in SQLite's dialect; these are the few schema
+// constructs they use that PostgreSQL spells differently. Timestamps stay
+// text in the same format, so both databases compare and return them alike.
+function toPostgresSchema(sql) {
+    return sql
+        .replace(/INTEGER PRIMARY KEY AUTOINCREMENT/g, 'BIGSERIAL PRIMARY KEY')
+        .replace(/\bDATETIME\b/g, 'TEXT')
+        .replace(/\bREAL\b/g, 'DOUBLE PRECISION')
+        .replace(/DEFAULT CURRENT_TIMESTAMP/g,
+            `DEFAULT (to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS'))`);
+}
+
+function postgresExecutor(client) {
+    return {
+        async run(sql, params = []) {
+            const result = await client.query(toPostgresPlaceholders(sql), params);
+            return { changes: result.rowCount };
+        },
+        async get(sql, params = []) {
+            const result = await client.query(toPostgresPlaceholders(sql), params);
+            return result.rows[0];
+        },
+        async all(sql, params = []) {
+            const result = await client.query(toPostgresPlaceholders(sql), params);
+            return result.rows;
+        },
+        async columnNames(table) {
+            const columns = await this.all(`
+                SELECT column_name FROM information_schema.columns
+                WHERE table_schema = current_schema() AND table_name = ?
+            `, [table]);
+            return columns.map(column => column.column_name);
+        }
+    };
+}
+
+function createPostgresDriver(connectionString) {
+    const { Pool, types } = require('pg');
+    // COUNT(*) and BIGSERIAL come back as bigint; every count and sequence
+    // number here fits a JavaScript number, which is what SQLite returns
+    types.setTypeParser(types.builtins.INT8, value => parseInt(value, 10));
+
+    const pool = new Pool({
+        connectionString,
+        max: parseInt(process.env.DATABASE_POOL_SIZE, 10) || 10
+    });
+    pool.on('error', error => console.error('PostgreSQL pool error:', error));
+
+    return {
+        dialect: 'postgres',
+        ...postgresExecutor(pool),
+
+        async transaction(work) {
+            const client = await pool.connect();
+            const tx = postgresExecutor(client);
+            try {
+                await client.query('BEGIN');
+                try {
+                    const result = await work(tx);
+                    await client.query('COMMIT');
+                    return result;
+                } catch (error) {
+                    await client.query('ROLLBACK').catch(rollbackError => console.error('Rollback failed:', rollbackError));
+                    throw error;
+                }
+            } finally {
+                client.release();
+            }
+        },
+
+        translateSchema: toPostgresSchema,
+
+        isUniqueViolation: (error) => error.code === '23505',
+
+        close: () => pool.end()
+    };
+}
+
+function createDriver(url = process.env.DATABASE_URL) {
+    if (!url) {
+        return createSqliteDriver(DEFAULT_SQLITE_FILE);
+    }
+    if (/^postgres(ql)?:\/\//.test(url)) {
+        return createPostgresDriver(url);
+    }
+    return createSqliteDriver(url.replace(/^sqlite:(\/\/)?/, ''));
+}
+
+module.exports = { createDriver, createSqliteDriver, createPostgresDriver };
@@ -0,0 +1,21 @@
+// Error carrying the HTTP status it should be answered with. Routes answer
+// `error.status` with `error.message`; the WebSocket handler forwards both.
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+const badRequest = (message) => new HttpError(400, message);
+const notFound = (message) => new HttpError(404, message);
+
+// Rate limited; `retryAfter` is the number of seconds to wait
+function tooManyRequests(message, retryAfter) {
+    const error = new HttpError(429, message);
+    error.retryAfter = retryAfter;
+    return error;
+}
+
+module.exports = { HttpError, badRequest, notFound, tooManyRequests };
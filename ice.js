@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+// ICE servers handed to WebRTC clients. STUN_URLS and TURN_URLS are comma
+// separated lists. TURN credentials follow the time-limited scheme of the
+// TURN REST API (as implemented by coturn's use-auth-secret): the username is
+// "<expiry unix time>:<user id>" and the password is
+// base64(HMAC-SHA1(TURN_SECRET, username)), so the TURN server can check
+// them with the shared secret alone. Nothing is offered unless configured.
+
+const TURN_CREDENTIAL_TTL = parseInt(process.env.TURN_CREDENTIAL_TTL, 10) || 3600; // seconds
+
+function parseUrls(value) {
+    return (value || '').split(',').map(url => url.trim()).filter(Boolean);
+}
+
+const STUN_URLS = parseUrls(process.env.STUN_URLS);
+const TURN_URLS = parseUrls(process.env.TURN_URLS);
+const TURN_SECRET = process.env.TURN_SECRET || null;
+
+if (TURN_URLS.length > 0 && !TURN_SECRET) {
+    console.warn('TURN_URLS is set without TURN_SECRET, TURN servers will not be offered');
+}
+if (STUN_URLS.length === 0 && TURN_URLS.length === 0) {
+    console.warn('Neither STUN_URLS nor TURN_URLS is set, calls will only connect peers that can reach each other directly');
+}
+
+function turnCredentials(userId, now = Date.now()) {
+    const expiresAt = Math.floor(now / 1000) + TURN_CREDENTIAL_TTL;
+    const username = `${expiresAt}:${userId}`;
+    const credential = crypto.createHmac('sha1', TURN_SECRET).update(username).digest('base64');
+    return { username, credential, expiresAt };
+}
+
+// ICE server list for one user, in RTCPeerConnection's `iceServers` format
+function getIceServers(userId) {
+    const iceServers = [];
+    if (STUN_URLS.length > 0) {
+        iceServers.push({ urls: STUN_URLS });
+    }
+
+    if (TURN_URLS.length === 0 || !TURN_SECRET) {
+        return { iceServers, ttl: null, expiresAt: null };
+    }
+
+    const { username, credential, expiresAt } = turnCredentials(userId);
+    iceServers.push({ urls: TURN_URLS, username, credential });
+    return {
+        iceServers,
+        ttl: TURN_CREDENTIAL_TTL,
+        expiresAt: new Date(expiresAt * 1000).toISOString()
+    };
+}
+
+module.exports = { getIceServers, turnCredentials };
@@ -1,22 +1,96 @@
 const express = require('express');
 const cors = require('cors');
+const multer = require('multer');
 const http = require('http');
 const path = require('path');
-const { dbHelpers } = require('./database');
+const { dbHelpers, initDatabase } = require('./database');
 const { setupWebSocket } = require('./websocket');
+const cluster = require('./cluster');
+const { createBus } = require('./pubsub');
+const { isSessionOnline, closeSession } = require('./realtime');
+const { issueTokens, authenticate, requireAuth } = require('./auth');
+const rateLimits = require('./rateLimits');
+const {
+    requireSelf,
+    requireConversationParticipant,
+    requireGroupRole,
+    requireChannelRole
+} = require('./permissions');
+const messageActions = require('./messages');
+const attachments = require('./attachments');
+const membership = require('./membership');
+const channels = require('./channels');
+const conversations = require('./conversations');
+const calls = require('./calls');
+const rooms = require('./rooms');
+const ice = require('./ice');
+const presence = require('./presence');
+const contacts = require('./contacts');
+const accounts = require('./accounts');
+const { createTarGzStream } = require('./archive');
+const { badRequest } = require('./errors');
 
 const app = express();
 const server = http.createServer(app);
 
+// Behind a reverse proxy, set TRUST_PROXY to the number of proxy hops, "true"
+// or a list of proxy addresses (see Express' "trust proxy"), so that req.ip,
+// which the per-IP rate limits count on, is the client's and not the proxy's
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
+// Multipart uploads are kept in memory, then handed to the storage backend
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: attachments.MAX_UPLOAD_SIZE, files: 1 }
+}).single('file');
+
+function uploadFile(req, res, next) {
+    upload(req, res, (err) => {
+        if (err) {
+            const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return res.status(status).json({ error: err.message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: 'File is required' });
+        }
+        next();
+    });
+}
+
+// Answer a failed request. Errors carrying a status (permission, validation,
+// not found) are passed on, anything else is logged and answered with a 500.
+function sendError(res, label, failure, error) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({ error: failure });
+}
+
+// Answer a route with the result of a service call, or with sendError
+function serviceRoute(label, failure, handler) {
+    return async (req, res) => {
+        try {
+            const result = await handler(req);
+            res.json(result === undefined ? { success: true } : result);
+        } catch (error) {
+            sendError(res, label, failure, error);
+        }
+    };
+}
+
 // Serve static files for web client
 app.use(express.static(path.join(__dirname, '..')));
 
-// Auth routes
-app.post('/api/register', async (req, res) => {
+// Auth routes, limited per client IP (see rateLimits.js)
+app.post('/api/register', rateLimits.limitRequests('register', req => req.ip), async (req, res) => {
     try {
         const { username, email, password } = req.body;
 
@@ -37,7 +111,7 @@ app.post('/api/register', async (req, res) => {
     }
 });
 
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', rateLimits.limitRequests('login', req => req.ip), async (req, res) => {
     try {
         const { email, password } = req.body;
 
@@ -50,10 +124,18 @@ app.post('/api/login', async (req, res) => {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
+        // Too many failures in a row lock the account for a while
+        rateLimits.checkLoginLock(user);
         const validPassword = dbHelpers.verifyPassword(password, user.password);
         if (!validPassword) {
+            await rateLimits.recordLoginFailure(user);
             return res.status(401).json({ error: 'Invalid credentials' });
         }
+        await rateLimits.recordLoginSuccess(user);
+
+        // Each login is its own device session
+        const device = req.body.device || req.headers['user-agent'] || null;
+        const session = await dbHelpers.createSession(user.id, device, req.ip);
 
         res.json({
             success: true,
@@ -61,19 +143,98 @@ app.post('/api/login', async (req, res) => {
                 id: user.id,
                 username: user.username,
                 email: user.email
-            }
+            },
+            ...issueTokens(user.id, session.id)
         });
     } catch (error) {
+        if (error.status === 429) {
+            return rateLimits.sendTooManyRequests(res, error);
+        }
         console.error('Login error:', error);
         res.status(500).json({ error: 'Login failed' });
     }
 });
 
+// Exchange a refresh token for a new token pair. Each refresh token works
+// once: the exchange retires it, also when two requests race with it.
+app.post('/api/token/refresh', rateLimits.limitRequests('refresh', req => req.ip), async (req, res) => {
+    try {
+        const user = await authenticate(req.body.refreshToken, 'refresh');
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+
+        const refreshVersion = await dbHelpers.rotateSessionRefresh(user.sessionId, user.refreshVersion);
+        if (refreshVersion === null) {
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+
+        res.json({ success: true, ...issueTokens(user.id, user.sessionId, refreshVersion) });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Token refresh failed' });
+    }
+});
+
+// Every route below acts on behalf of the user in the access token
+app.use('/api', requireAuth, rateLimits.limitRequests('api', req => req.user.id));
+
+// Posting over REST counts against the same limit as posting over WebSocket
+const limitMessages = rateLimits.limitRequests('message', req => req.user.id);
+
+// Session routes
+app.get('/api/sessions', async (req, res) => {
+    try {
+        const sessions = await dbHelpers.getUserSessions(req.user.id);
+        res.json(sessions.map(session => ({
+            ...session,
+            current: session.id === req.user.sessionId,
+            online: isSessionOnline(req.user.id, session.id)
+        })));
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ error: 'Failed to get sessions' });
+    }
+});
+
+// Revoke a session: its tokens stop working and its sockets are closed
+app.delete('/api/sessions/:sessionId', async (req, res) => {
+    try {
+        const result = await dbHelpers.revokeSession(req.params.sessionId, req.user.id);
+        if (!result.changes) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        closeSession(req.user.id, req.params.sessionId);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
+// Sync route: events missed since a sequence number, same shape as the WS replay
+app.get('/api/sync', async (req, res) => {
+    try {
+        const since = parseInt(req.query.since, 10) || 0;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), 500);
+        const events = await dbHelpers.getEventsSince(req.user.id, since, limit + 1);
+        const page = events.slice(0, limit);
+        res.json({
+            events: page,
+            has_more: events.length > limit,
+            lastSeq: page.length ? page[page.length - 1].seq : since
+        });
+    } catch (error) {
+        console.error('Sync error:', error);
+        res.status(500).json({ error: 'Failed to sync' });
+    }
+});
+
 // User routes
 app.get('/api/users/search', async (req, res) => {
     try {
-        const { q, userId } = req.query;
-        const users = await dbHelpers.searchUsers(q || '', userId);
+        const { q } = req.query;
+        const users = await dbHelpers.searchUsers(q || '', req.user.id);
         res.json(users);
     } catch (error) {
         console.error('Search error:', error);
@@ -81,9 +242,39 @@ app.get('/api/users/search', async (req, res) => {
     }
 });
 
+// Message search across the caller's chats
+app.get('/api/search/messages', async (req, res) => {
+    try {
+        const { q, senderId, chatType, chatId, type, from, to, limit, offset } = req.query;
+        if (!q || !q.trim()) {
+            return res.status(400).json({ error: 'Search query is required' });
+        }
+        for (const date of [from, to]) {
+            if (date && isNaN(Date.parse(date))) {
+                return res.status(400).json({ error: 'Invalid date' });
+            }
+        }
+
+        const results = await dbHelpers.searchMessages(req.user.id, q, {
+            senderId,
+            chatType,
+            chatId,
+            type,
+            from: from && new Date(from).toISOString(),
+            to: to && new Date(to).toISOString(),
+            limit,
+            offset
+        });
+        res.json(results);
+    } catch (error) {
+        console.error('Message search error:', error);
+        res.status(500).json({ error: 'Search failed' });
+    }
+});
+
 app.get('/api/users/:id', async (req, res) => {
     try {
-        const user = await dbHelpers.getFullUser(req.params.id);
+        const user = await dbHelpers.getFullUser(req.params.id, req.user.id);
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
@@ -95,9 +286,12 @@ app.get('/api/users/:id', async (req, res) => {
 });
 
 // Update user profile
-app.put('/api/users/:id/profile', async (req, res) => {
+app.put('/api/users/:id/profile', requireSelf('id'), async (req, res) => {
     try {
         const { display_name, bio, avatar, username } = req.body;
+        if (typeof avatar === 'string' && avatar.startsWith('data:')) {
+            return res.status(400).json({ error: 'Upload avatars through /api/users/:id/avatar' });
+        }
         const result = await dbHelpers.updateProfile(req.params.id, {
             display_name,
             bio,
@@ -112,30 +306,92 @@ app.put('/api/users/:id/profile', async (req, res) => {
     }
 });
 
-// Delete user account
-app.delete('/api/users/:id', async (req, res) => {
+// Set a custom status, body: { text, emoji, expiresIn: seconds }
+app.put('/api/users/:id/status', requireSelf('id'), serviceRoute('Set status', 'Failed to set status',
+    req => presence.setCustomStatus(req.user.id, req.body)));
+
+app.delete('/api/users/:id/status', requireSelf('id'), serviceRoute('Clear status', 'Failed to clear status',
+    req => presence.clearCustomStatus(req.user.id)));
+
+// Who may see presence (lastSeen) and email, bio and status (profile):
+// 'everyone', 'contacts' or 'nobody'
+app.get('/api/users/:id/privacy', requireSelf('id'), serviceRoute('Get privacy', 'Failed to get privacy settings',
+    async req => (await dbHelpers.getFullUser(req.user.id)).privacy));
+
+app.put('/api/users/:id/privacy', requireSelf('id'), serviceRoute('Update privacy', 'Failed to update privacy settings',
+    req => presence.updatePrivacy(req.user.id, req.body)));
+
+// Upload a new avatar image
+app.post('/api/users/:id/avatar', requireSelf('id'), uploadFile, async (req, res) => {
     try {
-        const result = await dbHelpers.deleteUser(req.params.id);
-        res.json({ success: true });
+        if (!req.file.mimetype.startsWith('image/')) {
+            return res.status(400).json({ error: 'Avatar must be an image' });
+        }
+        const attachment = await attachments.storeUpload(req.user.id, { chatType: 'profile' }, req.file);
+        await dbHelpers.updateProfile(req.params.id, { avatar: `/api/attachments/${attachment.id}` });
+        const updatedUser = await dbHelpers.getFullUser(req.params.id);
+        res.json({ success: true, user: updatedUser });
     } catch (error) {
-        console.error('Delete user error:', error);
-        res.status(500).json({ error: 'Failed to delete account' });
+        console.error('Upload avatar error:', error);
+        res.status(500).json({ error: 'Failed to upload avatar' });
     }
 });
 
-// Conversation routes
-app.post('/api/conversations', async (req, res) => {
+// Delete user account. Body: { anonymize: true } keeps the user's messages
+// under an anonymous "Deleted account" instead of deleting them
+app.delete('/api/users/:id', requireSelf('id'), serviceRoute('Delete user', 'Failed to delete account',
+    req => accounts.deleteAccount(req.user.id, { anonymize: req.body && req.body.anonymize === true })));
+
+// Download everything the account holds as a tar.gz archive
+app.get('/api/users/:id/export', requireSelf('id'), async (req, res) => {
+    let streaming = false;
     try {
-        const { userId1, userId2 } = req.body;
-        const conversationId = await dbHelpers.createConversation(userId1, userId2);
-        res.json({ success: true, conversationId });
+        const archive = createTarGzStream();
+        res.attachment(`messenger-export-${new Date().toISOString().slice(0, 10)}.tar.gz`);
+        res.set({ 'Content-Type': 'application/gzip', 'Cache-Control': 'no-store' });
+        archive.stream.pipe(res);
+        res.on('close', () => archive.stream.destroy());
+        streaming = true;
+
+        await accounts.exportAccount(req.user.id, archive);
     } catch (error) {
-        console.error('Create conversation error:', error);
-        res.status(500).json({ error: 'Failed to create conversation' });
+        console.error('Export account error:', error);
+        if (streaming) {
+            return res.destroy();
+        }
+        res.status(500).json({ error: 'Failed to export account' });
     }
 });
 
-app.get('/api/conversations/:userId', async (req, res) => {
+// Conversation routes
+// { userId } opens the private chat with that user,
+// { name, userIds } creates a named conversation with several participants
+app.post('/api/conversations', serviceRoute('Create conversation', 'Failed to create conversation', async (req) => {
+    const { userId, userIds, name } = req.body;
+    if (userIds !== undefined) {
+        const conversation = await conversations.createConversation(req.user.id, { name, userIds });
+        return { success: true, conversationId: conversation.id, conversation };
+    }
+    const conversationId = await contacts.openConversation(req.user.id, userId);
+    return { success: true, conversationId };
+}));
+
+// Rename a multi-participant conversation
+app.put('/api/conversations/:conversationId', serviceRoute('Rename conversation', 'Failed to rename conversation',
+    req => conversations.renameConversation(req.user.id, req.params.conversationId, req.body.name)));
+
+app.get('/api/conversations/:conversationId/participants', serviceRoute('Get participants', 'Failed to get participants',
+    req => conversations.listParticipants(req.user.id, req.params.conversationId)));
+
+// Add participants, body: { userIds: [...] }
+app.post('/api/conversations/:conversationId/participants', serviceRoute('Add participants', 'Failed to add participants',
+    req => conversations.addParticipants(req.user.id, req.params.conversationId, req.body.userIds)));
+
+// Leave (your own id) or remove a participant (creator)
+app.delete('/api/conversations/:conversationId/participants/:userId', serviceRoute('Remove participant', 'Failed to remove participant',
+    req => conversations.removeParticipant(req.user.id, req.params.conversationId, req.params.userId)));
+
+app.get('/api/conversations/:userId', requireSelf('userId'), async (req, res) => {
     try {
         const conversations = await dbHelpers.getConversations(req.params.userId);
         res.json(conversations);
@@ -146,31 +402,84 @@ app.get('/api/conversations/:userId', async (req, res) => {
 });
 
 // Message routes
-app.get('/api/messages/:conversationId', async (req, res) => {
-    try {
-        const messages = await dbHelpers.getMessages(req.params.conversationId);
-        res.json(messages);
-    } catch (error) {
-        console.error('Get messages error:', error);
-        res.status(500).json({ error: 'Failed to get messages' });
+app.get('/api/messages/:conversationId', requireConversationParticipant('conversationId'),
+    serviceRoute('Get messages', 'Failed to get messages', async (req) => {
+        const { before, after, limit } = req.query;
+        const page = await dbHelpers.getMessages(req.params.conversationId, { before, after, limit, viewerId: req.user.id });
+        const receipts = await dbHelpers.getReadMarkers('conversation', req.params.conversationId);
+        return { ...page, receipts };
+    }));
+
+// ===================== ATTACHMENT ROUTES =====================
+// Upload a file for a chat (multipart field "file", plus chatType, chatId and
+// optional duration); send it by posting a message with the returned id
+app.post('/api/attachments', uploadFile, serviceRoute('Upload attachment', 'Failed to upload file', async (req) => {
+    const { chatType, chatId, duration } = req.body;
+    if (!['conversation', 'group', 'channel'].includes(chatType) || !chatId) {
+        throw badRequest('chatType and chatId are required');
     }
-});
+    const attachment = await attachments.storeUpload(req.user.id, { chatType, chatId }, req.file, { duration });
+    return { success: true, attachment };
+}));
 
-// ===================== CHANNEL ROUTES =====================
-// Create channel
-app.post('/api/channels', async (req, res) => {
+// Download a file (members of its chat only)
+app.get('/api/attachments/:id', async (req, res) => {
     try {
-        const { name, description, ownerId } = req.body;
-        const channel = await dbHelpers.createChannel(name, description, ownerId);
-        res.json({ success: true, channel });
+        const attachment = await attachments.getDownload(req.user.id, req.params.id);
+        res.attachment(attachment.file_name || attachment.id);
+        res.set({
+            'Content-Type': attachment.mime_type,
+            'Content-Length': attachment.size,
+            'ETag': `"${attachment.checksum}"`,
+            'Cache-Control': 'private, max-age=31536000, immutable'
+        });
+
+        const stream = attachments.openDownload(attachment);
+        stream.on('error', (error) => {
+            console.error('Read attachment error:', error);
+            if (!res.headersSent) res.status(404).json({ error: 'Attachment not found' });
+            else res.destroy();
+        });
+        stream.pipe(res);
     } catch (error) {
-        console.error('Create channel error:', error);
-        res.status(500).json({ error: 'Failed to create channel' });
+        sendError(res, 'Download attachment', 'Failed to download file', error);
     }
 });
 
+// ===================== CHANNEL ROUTES =====================
+// Create channel (private unless visibility is 'public')
+app.post('/api/channels', serviceRoute('Create channel', 'Failed to create channel', async (req) => {
+    const { name, description, visibility, handle } = req.body;
+    const channel = await channels.createChannel(req.user.id, { name, description, visibility, handle });
+    return { success: true, channel };
+}));
+
+// Search public channels: ?q=&limit=&offset=
+app.get('/api/channels/directory', serviceRoute('Channel directory', 'Failed to search channels',
+    req => channels.searchDirectory(req.user.id, req.query)));
+
+// Look a channel up by its handle
+app.get('/api/channels/handle/:handle', serviceRoute('Get channel by handle', 'Failed to get channel',
+    req => channels.getByHandle(req.user.id, req.params.handle)));
+
+// Update channel settings (admins)
+app.put('/api/channels/:channelId', serviceRoute('Update channel', 'Failed to update channel',
+    req => channels.updateChannel(req.user.id, req.params.channelId, req.body)));
+
+// Subscribe to / unsubscribe from a public channel
+app.post('/api/channels/:channelId/subscribe', serviceRoute('Subscribe', 'Failed to subscribe',
+    req => channels.subscribe(req.user.id, req.params.channelId)));
+
+app.delete('/api/channels/:channelId/subscribe', serviceRoute('Unsubscribe', 'Failed to unsubscribe',
+    req => channels.unsubscribe(req.user.id, req.params.channelId)));
+
+// Count views of posts the client has shown, body: { messageIds: [...] }
+app.post('/api/channels/:channelId/views', requireChannelRole('channelId'),
+    serviceRoute('Record views', 'Failed to record views',
+        req => channels.recordViews(req.user.id, req.params.channelId, req.body.messageIds)));
+
 // Get user's channels
-app.get('/api/channels/user/:userId', async (req, res) => {
+app.get('/api/channels/user/:userId', requireSelf('userId'), async (req, res) => {
     try {
         const channels = await dbHelpers.getUserChannels(req.params.userId);
         res.json(channels);
@@ -181,38 +490,30 @@ app.get('/api/channels/user/:userId', async (req, res) => {
 });
 
 // Get channel messages
-app.get('/api/channels/:channelId/messages', async (req, res) => {
-    try {
-        const messages = await dbHelpers.getChannelMessages(req.params.channelId);
-        res.json(messages);
-    } catch (error) {
-        console.error('Get channel messages error:', error);
-        res.status(500).json({ error: 'Failed to get messages' });
-    }
-});
+app.get('/api/channels/:channelId/messages', requireChannelRole('channelId'),
+    serviceRoute('Get channel messages', 'Failed to get messages', (req) => {
+        const { before, after, limit } = req.query;
+        return dbHelpers.getChannelMessages(req.params.channelId, { before, after, limit, viewerId: req.user.id });
+    }));
 
-// Post channel message (only admins)
-app.post('/api/channels/:channelId/messages', async (req, res) => {
-    try {
-        const { senderId, content, type } = req.body;
-        const isAdmin = await dbHelpers.isChannelAdmin(req.params.channelId, senderId);
-        if (!isAdmin) {
-            return res.status(403).json({ error: 'Only admins can post in channels' });
-        }
-        const message = await dbHelpers.createChannelMessage(req.params.channelId, senderId, content, type);
-        res.json({ success: true, message });
-    } catch (error) {
-        console.error('Post channel message error:', error);
-        res.status(500).json({ error: 'Failed to post message' });
-    }
-});
+// Post channel message (only admins, members may reply in threads)
+app.post('/api/channels/:channelId/messages', requireChannelRole('channelId'), limitMessages,
+    serviceRoute('Post channel message', 'Failed to post message', async (req) => {
+        const { content, type, replyTo, threadRoot, attachmentId } = req.body;
+        const message = await messageActions.postMessage(
+            req.user.id,
+            { chatType: 'channel', chatId: req.params.channelId },
+            { content, type, replyTo, threadRoot, attachmentId }
+        );
+        return { success: true, message };
+    }));
 
 // ===================== GROUP ROUTES =====================
 // Create group
 app.post('/api/groups', async (req, res) => {
     try {
-        const { name, description, ownerId } = req.body;
-        const group = await dbHelpers.createGroup(name, description, ownerId);
+        const { name, description } = req.body;
+        const group = await dbHelpers.createGroup(name, description, req.user.id);
         res.json({ success: true, group });
     } catch (error) {
         console.error('Create group error:', error);
@@ -221,7 +522,7 @@ app.post('/api/groups', async (req, res) => {
 });
 
 // Get user's groups
-app.get('/api/groups/user/:userId', async (req, res) => {
+app.get('/api/groups/user/:userId', requireSelf('userId'), async (req, res) => {
     try {
         const groups = await dbHelpers.getUserGroups(req.params.userId);
         res.json(groups);
@@ -232,46 +533,180 @@ app.get('/api/groups/user/:userId', async (req, res) => {
 });
 
 // Get group messages
-app.get('/api/groups/:groupId/messages', async (req, res) => {
-    try {
-        const messages = await dbHelpers.getGroupMessages(req.params.groupId);
-        res.json(messages);
-    } catch (error) {
-        console.error('Get group messages error:', error);
-        res.status(500).json({ error: 'Failed to get messages' });
-    }
-});
+app.get('/api/groups/:groupId/messages', requireGroupRole('groupId'),
+    serviceRoute('Get group messages', 'Failed to get messages', async (req) => {
+        const { before, after, limit } = req.query;
+        const page = await dbHelpers.getGroupMessages(req.params.groupId, { before, after, limit, viewerId: req.user.id });
+        const receipts = await dbHelpers.getReadMarkers('group', req.params.groupId);
+        return { ...page, receipts };
+    }));
 
 // Post group message (all members)
-app.post('/api/groups/:groupId/messages', async (req, res) => {
+app.post('/api/groups/:groupId/messages', requireGroupRole('groupId'), limitMessages,
+    serviceRoute('Post group message', 'Failed to post message', async (req) => {
+        const { content, type, replyTo, threadRoot, attachmentId } = req.body;
+        const message = await messageActions.postMessage(
+            req.user.id,
+            { chatType: 'group', chatId: req.params.groupId },
+            { content, type, replyTo, threadRoot, attachmentId }
+        );
+        return { success: true, message };
+    }));
+
+// ===================== MESSAGE ACTION ROUTES =====================
+// Thread, edit, delete, reaction and revision routes, identical for the three kinds of chat
+function messageActionRoutes(basePath, chatType, param, guard) {
+    const chatOf = (req) => ({ chatType, chatId: req.params[param] });
+
+    // Root message and a page of its thread replies
+    app.get(`${basePath}/:messageId/thread`, guard, serviceRoute('Get thread', 'Failed to get thread', (req) => {
+        const { before, after, limit } = req.query;
+        return messageActions.getThread(req.user.id, chatOf(req), req.params.messageId, { before, after, limit });
+    }));
+
+    // Edit a message (sender only)
+    app.put(`${basePath}/:messageId`, guard, serviceRoute('Edit message', 'Failed to edit message', async (req) => {
+        const message = await messageActions.editMessage(req.user.id, chatOf(req), req.params.messageId, req.body.content);
+        return { success: true, message };
+    }));
+
+    // Delete a message, ?scope=me (default) or ?scope=everyone
+    app.delete(`${basePath}/:messageId`, guard, serviceRoute('Delete message', 'Failed to delete message', async (req) => {
+        await messageActions.deleteMessage(req.user.id, chatOf(req), req.params.messageId, req.query.scope);
+    }));
+
+    // React to a message
+    app.post(`${basePath}/:messageId/reactions`, guard, serviceRoute('Add reaction', 'Failed to add reaction', async (req) => {
+        await messageActions.setReaction(req.user.id, chatOf(req), req.params.messageId, req.body.emoji, true);
+    }));
+
+    // Take back a reaction
+    app.delete(`${basePath}/:messageId/reactions/:emoji`, guard, serviceRoute('Remove reaction', 'Failed to remove reaction',
+        async (req) => {
+            await messageActions.setReaction(req.user.id, chatOf(req), req.params.messageId, req.params.emoji, false);
+        }));
+
+    // Previous versions of an edited message
+    app.get(`${basePath}/:messageId/revisions`, guard, serviceRoute('Get revisions', 'Failed to get revisions',
+        req => messageActions.getRevisions(chatOf(req), req.params.messageId)));
+}
+
+messageActionRoutes('/api/messages/:conversationId', 'conversation', 'conversationId',
+    requireConversationParticipant('conversationId'));
+messageActionRoutes('/api/groups/:groupId/messages', 'group', 'groupId',
+    requireGroupRole('groupId'));
+messageActionRoutes('/api/channels/:channelId/messages', 'channel', 'channelId',
+    requireChannelRole('channelId'));
+
+// ===================== CONTACT ROUTES =====================
+app.get('/api/contacts', serviceRoute('Get contacts', 'Failed to get contacts',
+    req => contacts.listContacts(req.user.id)));
+
+app.post('/api/contacts', serviceRoute('Add contact', 'Failed to add contact',
+    req => contacts.addContact(req.user.id, req.body.userId)));
+
+app.delete('/api/contacts/:userId', serviceRoute('Remove contact', 'Failed to remove contact',
+    req => contacts.removeContact(req.user.id, req.params.userId)));
+
+app.get('/api/blocks', serviceRoute('Get blocked users', 'Failed to get blocked users',
+    req => contacts.listBlocked(req.user.id)));
+
+app.post('/api/blocks', serviceRoute('Block user', 'Failed to block user',
+    req => contacts.blockUser(req.user.id, req.body.userId)));
+
+app.delete('/api/blocks/:userId', serviceRoute('Unblock user', 'Failed to unblock user',
+    req => contacts.unblockUser(req.user.id, req.params.userId)));
+
+// Private conversations opened by non-contacts, waiting for acceptance
+app.get('/api/message-requests', serviceRoute('Get message requests', 'Failed to get message requests',
+    req => contacts.listRequests(req.user.id)));
+
+app.post('/api/message-requests/:conversationId/accept', serviceRoute('Accept request', 'Failed to accept request',
+    req => contacts.acceptRequest(req.user.id, req.params.conversationId)));
+
+// Body: { block: true } also blocks the sender
+app.post('/api/message-requests/:conversationId/decline', serviceRoute('Decline request', 'Failed to decline request',
+    req => contacts.declineRequest(req.user.id, req.params.conversationId, req.body)));
+
+// ===================== CALL ROUTES =====================
+// Call history of the acting user, newest first: ?before=<started_at>&limit=
+app.get('/api/calls', async (req, res) => {
     try {
-        const { senderId, content, type } = req.body;
-        const message = await dbHelpers.createGroupMessage(req.params.groupId, senderId, content, type);
-        res.json({ success: true, message });
+        const { before, limit } = req.query;
+        const page = await calls.getCallHistory(req.user.id, { before, limit });
+        res.json(page);
     } catch (error) {
-        console.error('Post group message error:', error);
-        res.status(500).json({ error: 'Failed to post message' });
+        console.error('Get calls error:', error);
+        res.status(500).json({ error: 'Failed to get calls' });
     }
 });
 
-// Get group members
-app.get('/api/groups/:groupId/members', async (req, res) => {
-    try {
-        const members = await dbHelpers.getGroupMembers(req.params.groupId);
-        res.json(members);
-    } catch (error) {
-        console.error('Get group members error:', error);
-        res.status(500).json({ error: 'Failed to get members' });
-    }
+// STUN/TURN servers for WebRTC, with TURN credentials that expire
+app.get('/api/ice-servers', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json(ice.getIceServers(req.user.id));
 });
 
+// Who is in the group call room of a group or conversation
+app.get('/api/groups/:groupId/call', serviceRoute('Get call room', 'Failed to get call room',
+    req => rooms.getRoom(req.user.id, { groupId: req.params.groupId })));
+
+app.get('/api/conversations/:conversationId/call', serviceRoute('Get call room', 'Failed to get call room',
+    req => rooms.getRoom(req.user.id, { conversationId: req.params.conversationId })));
+
+// ===================== MEMBERSHIP ROUTES =====================
+// Members, roles, ownership and invites, identical for groups and channels
+function membershipRoutes(basePath, chatType, param) {
+    const chatOf = (req) => ({ chatType, chatId: req.params[param] });
+
+    app.get(`${basePath}/members`, serviceRoute('Get members', 'Failed to get members',
+        req => membership.listMembers(req.user.id, chatOf(req))));
+
+    // Add a user directly (admins)
+    app.post(`${basePath}/members`, serviceRoute('Add member', 'Failed to add member',
+        req => membership.addMember(req.user.id, chatOf(req), req.body.userId)));
+
+    // Leave (your own id) or remove a lower-ranked member
+    app.delete(`${basePath}/members/:userId`, serviceRoute('Remove member', 'Failed to remove member',
+        req => membership.removeMember(req.user.id, chatOf(req), req.params.userId)));
+
+    // Promote or demote (owner)
+    app.put(`${basePath}/members/:userId/role`, serviceRoute('Change role', 'Failed to change role',
+        req => membership.setRole(req.user.id, chatOf(req), req.params.userId, req.body.role)));
+
+    app.post(`${basePath}/transfer`, serviceRoute('Transfer ownership', 'Failed to transfer ownership',
+        req => membership.transferOwnership(req.user.id, chatOf(req), req.body.userId)));
+
+    // Invite links (admins), body: { expiresIn: seconds, maxUses }
+    app.post(`${basePath}/invites`, serviceRoute('Create invite', 'Failed to create invite',
+        req => membership.createInvite(req.user.id, chatOf(req), req.body)));
+
+    app.get(`${basePath}/invites`, serviceRoute('Get invites', 'Failed to get invites',
+        req => membership.listInvites(req.user.id, chatOf(req))));
+
+    app.delete(`${basePath}/invites/:code`, serviceRoute('Revoke invite', 'Failed to revoke invite',
+        req => membership.revokeInvite(req.user.id, chatOf(req), req.params.code)));
+}
+
+membershipRoutes('/api/groups/:groupId', 'group', 'groupId');
+membershipRoutes('/api/channels/:channelId', 'channel', 'channelId');
+
+// Preview and accept invite links
+app.get('/api/invites/:code', serviceRoute('Preview invite', 'Failed to get invite',
+    req => membership.previewInvite(req.params.code)));
+
+app.post('/api/invites/:code/join', serviceRoute('Join with invite', 'Failed to join',
+    req => membership.joinWithInvite(req.user.id, req.params.code)));
+
 // Setup WebSocket
 setupWebSocket(server);
 
-// Start server
+// Start server once the database schema is up to date and the instance has
+// joined the others on the pub/sub bus (see pubsub.js, cluster.js)
 const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => {
-    console.log(`
+initDatabase().then(() => cluster.start(createBus())).then(() => {
+    server.listen(PORT, () => {
+        console.log(`
 ╔═══════════════════════════════════════════════╗
 ║         M-essenger Server Running             ║
 ╠═══════════════════════════════════════════════╣
@@ -279,4 +714,8 @@ server.listen(PORT, () => {
 ║  WebSocket:   ws://localhost:${PORT}             ║
 ╚═══════════════════════════════════════════════╝
   `);
+    });
+}).catch(error => {
+    console.error('Failed to start server:', error.message);
+    process.exit(1);
 });
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const { dbHelpers } = require('./database');
+const { badRequest, notFound } = require('./errors');
+const {
+    PermissionError,
+    outranks,
+    assertGroupRole,
+    assertChannelRole
+} = require('./permissions');
+const { publishEvent, getChatMemberIds } = require('./realtime');
+
+// Group and channel membership: adding, leaving, kicking, roles, ownership
+// and invite links. Roles rank owner > admin > member. `chat` is
+// { chatType: 'group' | 'channel', chatId }.
+
+const DEFAULT_INVITE_TTL = 7 * 24 * 60 * 60; // seconds
+
+function getRole({ chatType, chatId }, userId) {
+    return chatType === 'group'
+        ? dbHelpers.getGroupRole(chatId, userId)
+        : dbHelpers.getChannelRole(chatId, userId);
+}
+
+function assertRole(userId, { chatType, chatId }, minRole) {
+    return chatType === 'group'
+        ? assertGroupRole(userId, chatId, minRole)
+        : assertChannelRole(userId, chatId, minRole);
+}
+
+// Tell current members about a membership change. Users who just lost access
+// get it on their own scope, since the chat's events no longer reach them.
+async function notify({ chatType, chatId }, type, data, departedUserId = null) {
+    const payload = { chatType, chatId, ...data };
+    const memberIds = await getChatMemberIds(chatType, chatId);
+    await publishEvent(chatType, chatId, memberIds, type, payload);
+    if (departedUserId) {
+        await publishEvent('user', departedUserId, [departedUserId], type, payload);
+    }
+}
+
+// Groups list members to every member, channels only to their admins
+async function listMembers(actorId, chat) {
+    await assertRole(actorId, chat, chat.chatType === 'group' ? 'member' : 'admin');
+    return dbHelpers.getChatMembers(chat.chatType, chat.chatId);
+}
+
+async function addMember(actorId, chat, userId) {
+    await assertRole(actorId, chat, 'admin');
+    if (!(await dbHelpers.getUserById(userId))) {
+        throw notFound('User not found');
+    }
+    if (await getRole(chat, userId)) {
+        throw badRequest('Already a member');
+    }
+
+    await dbHelpers.addMember(chat.chatType, chat.chatId, userId);
+    await notify(chat, 'member_joined', { userId, addedBy: actorId });
+}
+
+// Leave when `userId` is the actor, otherwise kick a lower-ranked member
+async function removeMember(actorId, chat, userId) {
+    if (actorId === userId) {
+        const role = await getRole(chat, userId);
+        if (!role) {
+            throw notFound('Not a member');
+        }
+        if (role === 'owner') {
+            throw badRequest('Transfer ownership before leaving');
+        }
+        await dbHelpers.removeMember(chat.chatType, chat.chatId, userId);
+        await notify(chat, 'member_left', { userId }, userId);
+        return;
+    }
+
+    const actorRole = await assertRole(actorId, chat, 'admin');
+    const targetRole = await getRole(chat, userId);
+    if (!targetRole) {
+        throw notFound('Not a member');
+    }
+    if (!outranks(actorRole, targetRole)) {
+        throw new PermissionError('You can only remove members below your role');
+    }
+
+    await dbHelpers.removeMember(chat.chatType, chat.chatId, userId);
+    await notify(chat, 'member_removed', { userId, removedBy: actorId }, userId);
+}
+
+// Promote to admin or demote to member (owner only)
+async function setRole(actorId, chat, userId, role) {
+    if (role !== 'admin' && role !== 'member') {
+        throw badRequest('Role must be "admin" or "member"');
+    }
+    await assertRole(actorId, chat, 'owner');
+    if (userId === actorId) {
+        throw badRequest('Transfer ownership to change your own role');
+    }
+    if (!(await getRole(chat, userId))) {
+        throw notFound('Not a member');
+    }
+
+    await dbHelpers.setMemberRole(chat.chatType, chat.chatId, userId, role);
+    await notify(chat, 'member_role_changed', { userId, role });
+}
+
+async function transferOwnership(actorId, chat, userId) {
+    await assertRole(actorId, chat, 'owner');
+    if (userId === actorId) {
+        throw badRequest('You already own this chat');
+    }
+    if (!(await getRole(chat, userId))) {
+        throw notFound('Not a member');
+    }
+
+    await dbHelpers.transferOwnership(chat.chatType, chat.chatId, actorId, userId);
+    await notify(chat, 'ownership_transferred', { from: actorId, to: userId });
+}
+
+function positiveInt(value, name) {
+    if (value === undefined || value === null) return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number <= 0) {
+        throw badRequest(`${name} must be a positive integer`);
+    }
+    return number;
+}
+
+// Create an invite link; expiresIn is in seconds, maxUses caps how many joins it allows
+async function createInvite(actorId, chat, { expiresIn, maxUses } = {}) {
+    await assertRole(actorId, chat, 'admin');
+    const ttl = positiveInt(expiresIn, 'expiresIn') || DEFAULT_INVITE_TTL;
+
+    return dbHelpers.createInvite(chat.chatType, chat.chatId, actorId, {
+        code: crypto.randomBytes(12).toString('base64url'),
+        expiresAt: new Date(Date.now() + ttl * 1000).toISOString(),
+        maxUses: positiveInt(maxUses, 'maxUses')
+    });
+}
+
+async function listInvites(actorId, chat) {
+    await assertRole(actorId, chat, 'admin');
+    return dbHelpers.getChatInvites(chat.chatType, chat.chatId);
+}
+
+async function revokeInvite(actorId, chat, code) {
+    await assertRole(actorId, chat, 'admin');
+    const result = await dbHelpers.revokeInvite(chat.chatType, chat.chatId, code);
+    if (!result.changes) {
+        throw notFound('Invite not found');
+    }
+}
+
+function isUsable(invite) {
+    return !!invite
+        && (!invite.expires_at || invite.expires_at > new Date().toISOString())
+        && (invite.max_uses === null || invite.uses < invite.max_uses);
+}
+
+// What an invite leads to, shown before joining
+async function previewInvite(code) {
+    const invite = await dbHelpers.getInvite(code);
+    if (!isUsable(invite)) {
+        throw notFound('Invite is invalid or expired');
+    }
+    const summary = await dbHelpers.getChatSummary(invite.chat_type, invite.chat_id);
+    return { chatType: invite.chat_type, chat: summary };
+}
+
+// Join through an invite. Joining a chat you are already in does not use up the invite.
+async function joinWithInvite(userId, code) {
+    const invite = await dbHelpers.getInvite(code);
+    if (!isUsable(invite)) {
+        throw notFound('Invite is invalid or expired');
+    }
+    const chat = { chatType: invite.chat_type, chatId: invite.chat_id };
+
+    if (!(await getRole(chat, userId))) {
+        if (!(await dbHelpers.consumeInvite(code))) {
+            throw notFound('Invite is invalid or expired');
+        }
+        await dbHelpers.addMember(chat.chatType, chat.chatId, userId);
+        await notify(chat, 'member_joined', { userId, invite: code });
+    }
+
+    const summary = await dbHelpers.getChatSummary(chat.chatType, chat.chatId);
+    return { chatType: chat.chatType, chat: summary };
+}
+
+module.exports = {
+    notify,
+    listMembers,
+    addMember,
+    removeMember,
+    setRole,
+    transferOwnership,
+    createInvite,
+    listInvites,
+    revokeInvite,
+    previewInvite,
+    joinWithInvite
+};
@@ -0,0 +1,242 @@
+const { dbHelpers } = require('./database');
+const { badRequest, notFound } = require('./errors');
+const { checkMessageAttachment, messageTypeFor } = require('./attachments');
+const { PermissionError, hasRole, assertChannelRole } = require('./permissions');
+const { checkPrivateMessage } = require('./contacts');
+const { storage } = require('./storage');
+const {
+    publishEvent,
+    getRecipientIds,
+    deliverMessage,
+    deliverGroupMessage,
+    deliverChannelMessage
+} = require('./realtime');
+
+// Posting, threads, edits and deletions, shared by the REST routes and
+// WebSocket events. Callers have already checked that the user belongs to the chat.
+
+const MAX_MESSAGE_LENGTH = parseInt(process.env.MAX_MESSAGE_LENGTH, 10) || 4000;
+
+// Types a user may post; 'call' messages are only written by calls.js
+const USER_MESSAGE_TYPES = ['text', 'image', 'voice', 'video', 'file'];
+
+const creators = {
+    conversation: dbHelpers.createMessage,
+    group: dbHelpers.createGroupMessage,
+    channel: dbHelpers.createChannelMessage
+};
+
+const deliverers = {
+    conversation: deliverMessage,
+    group: deliverGroupMessage,
+    channel: deliverChannelMessage
+};
+
+const histories = {
+    conversation: dbHelpers.getMessages,
+    group: dbHelpers.getGroupMessages,
+    channel: dbHelpers.getChannelMessages
+};
+
+async function loadMessage(chatType, chatId, messageId) {
+    const message = await dbHelpers.getChatMessage(chatType, chatId, messageId);
+    if (!message || message.deleted_at) {
+        throw notFound('Message not found');
+    }
+    return message;
+}
+
+// A reply may quote any message of the chat; a thread hangs off a top-level message
+async function checkReferences(chatType, chatId, replyTo, threadRoot) {
+    if (replyTo) {
+        await loadMessage(chatType, chatId, replyTo);
+    }
+    if (threadRoot) {
+        const root = await loadMessage(chatType, chatId, threadRoot);
+        if (root.thread_root) {
+            throw badRequest('Threads cannot be nested');
+        }
+    }
+}
+
+// Store a message and deliver it. Only channel admins post top-level channel
+// messages, but any subscriber may reply in a thread under a post. Files are
+// uploaded first and referenced by `attachmentId`; the text is then an
+// optional caption.
+async function postMessage(userId, chat, { content, type, replyTo, threadRoot, attachmentId }) {
+    const { chatType, chatId } = chat;
+    content = typeof content === 'string' ? content : '';
+    if (!content.trim() && !attachmentId) {
+        throw badRequest('Content is required');
+    }
+    if (content.startsWith('data:')) {
+        throw badRequest('Upload files as attachments instead of data URLs');
+    }
+    if (content.length > MAX_MESSAGE_LENGTH) {
+        throw badRequest(`Messages are limited to ${MAX_MESSAGE_LENGTH} characters`);
+    }
+    if (type && !USER_MESSAGE_TYPES.includes(type)) {
+        throw badRequest(`Message type must be one of ${USER_MESSAGE_TYPES.join(', ')}`);
+    }
+    if (chatType === 'channel' && !threadRoot) {
+        await assertChannelRole(userId, chatId, 'admin');
+    }
+    if (chatType === 'conversation') {
+        await checkPrivateMessage(userId, chatId);
+    }
+    await checkReferences(chatType, chatId, replyTo, threadRoot);
+
+    let attachment = null;
+    if (attachmentId) {
+        attachment = await checkMessageAttachment(userId, chat, attachmentId);
+        type = type || messageTypeFor(attachment.mime_type);
+    }
+
+    const message = await creators[chatType](chatId, userId, content, type || 'text', {
+        replyTo,
+        threadRoot,
+        attachmentId
+    });
+    if (attachment) {
+        const { id, file_name, mime_type, size, checksum, width, height, duration, created_at } = attachment;
+        message.attachment = { id, file_name, mime_type, size, checksum, width, height, duration, created_at };
+    }
+    await deliverers[chatType](message);
+
+    if (threadRoot) {
+        const recipientIds = await getRecipientIds(chatType, chatId, userId);
+        await publishEvent(chatType, chatId, recipientIds, 'thread_updated', {
+            chatType,
+            chatId,
+            threadRoot,
+            reply_count: await dbHelpers.getReplyCount(chatType, threadRoot)
+        }, { senderId: userId });
+    }
+    return message;
+}
+
+// The root message and a page of its thread replies
+async function getThread(userId, { chatType, chatId }, messageId, options) {
+    const root = await loadMessage(chatType, chatId, messageId);
+    if (root.thread_root) {
+        throw badRequest('Message is not a thread root');
+    }
+    const page = await histories[chatType](chatId, { ...options, viewerId: userId, threadRoot: messageId });
+    return { root, ...page };
+}
+
+// Group and channel admins moderate; conversations have no admins
+async function isChatAdmin(chatType, chatId, userId) {
+    if (chatType === 'group') {
+        return hasRole(await dbHelpers.getGroupRole(chatId, userId), 'admin');
+    }
+    if (chatType === 'channel') {
+        return hasRole(await dbHelpers.getChannelRole(chatId, userId), 'admin');
+    }
+    return false;
+}
+
+async function editMessage(userId, { chatType, chatId }, messageId, content) {
+    if (typeof content !== 'string' || !content.trim()) {
+        throw badRequest('Content is required');
+    }
+    if (content.length > MAX_MESSAGE_LENGTH) {
+        throw badRequest(`Messages are limited to ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    const message = await loadMessage(chatType, chatId, messageId);
+    if (message.sender_id !== userId) {
+        throw new PermissionError('Only the sender can edit a message');
+    }
+
+    const edited = await dbHelpers.editMessage(chatType, messageId, userId, content);
+    const recipientIds = await getRecipientIds(chatType, chatId, userId);
+    await publishEvent(chatType, chatId, recipientIds, 'message_edited', {
+        chatType,
+        chatId,
+        message: edited
+    }, { senderId: userId, messageId });
+    return edited;
+}
+
+// scope 'me' hides the message for the caller only, 'everyone' removes it for
+// all participants (sender, or a group/channel admin)
+async function deleteMessage(userId, { chatType, chatId }, messageId, scope = 'me') {
+    if (scope !== 'me' && scope !== 'everyone') {
+        throw badRequest('Scope must be "me" or "everyone"');
+    }
+
+    const message = await loadMessage(chatType, chatId, messageId);
+
+    if (scope === 'me') {
+        await dbHelpers.hideMessage(chatType, messageId, userId);
+        await publishEvent('user', userId, [userId], 'message_deleted', {
+            chatType,
+            chatId,
+            messageId,
+            scope
+        });
+        return;
+    }
+
+    if (message.sender_id !== userId && !(await isChatAdmin(chatType, chatId, userId))) {
+        throw new PermissionError('Only the sender or an admin can delete this message for everyone');
+    }
+
+    const deleted = await dbHelpers.deleteMessage(chatType, messageId);
+    const recipientIds = await getRecipientIds(chatType, chatId, message.sender_id);
+    await publishEvent(chatType, chatId, recipientIds, 'message_deleted', {
+        chatType,
+        chatId,
+        messageId,
+        scope,
+        deleted_at: deleted.deleted_at
+    }, { senderId: message.sender_id });
+
+    // Files go last, a failed removal only leaves an orphaned blob behind
+    for (const key of deleted.storageKeys) {
+        await storage.remove(key).catch(error => console.error('Remove file error:', error));
+    }
+}
+
+const MAX_EMOJI_LENGTH = 32;
+
+// Add or remove the user's `emoji` reaction. Any member may react, including
+// channel subscribers who cannot post.
+async function setReaction(userId, { chatType, chatId }, messageId, emoji, add) {
+    if (typeof emoji !== 'string' || !emoji.trim() || emoji.length > MAX_EMOJI_LENGTH) {
+        throw badRequest('A valid emoji is required');
+    }
+
+    await loadMessage(chatType, chatId, messageId);
+    const changed = add
+        ? await dbHelpers.addReaction(chatType, messageId, userId, emoji)
+        : await dbHelpers.removeReaction(chatType, messageId, userId, emoji);
+    if (!changed) return;
+
+    const recipientIds = await getRecipientIds(chatType, chatId, userId);
+    await publishEvent(chatType, chatId, recipientIds, 'reaction_updated', {
+        chatType,
+        chatId,
+        messageId,
+        emoji,
+        userId,
+        action: add ? 'added' : 'removed',
+        count: await dbHelpers.getReactionCount(chatType, messageId, emoji)
+    }, { senderId: userId });
+}
+
+async function getRevisions({ chatType, chatId }, messageId) {
+    await loadMessage(chatType, chatId, messageId);
+    return dbHelpers.getMessageRevisions(chatType, messageId);
+}
+
+module.exports = {
+    isChatAdmin,
+    postMessage,
+    getThread,
+    editMessage,
+    deleteMessage,
+    setReaction,
+    getRevisions
+};
@@ -0,0 +1,60 @@
+const { db } = require('./database');
+const { MigrationError, getStatus, migrate } = require('./migrator');
+
+// Database migrations from the command line:
+//   node migrate.js status   list applied, pending and unknown migrations
+//   node migrate.js check    exit with status 1 unless the schema is up to date
+//   node migrate.js up       apply pending migrations
+
+async function status() {
+    const { applied, pending, unknown } = await getStatus(db);
+    const unknownVersions = new Set(unknown.map(row => row.version));
+
+    applied.forEach(row => {
+        const note = unknownVersions.has(row.version) ? '  (unknown to this version)' : '';
+        console.log(`applied  ${String(row.version).padStart(3, '0')}_${row.name}  ${row.applied_at}${note}`);
+    });
+    pending.forEach(migration => {
+        console.log(`pending  ${migration.file.replace(/\.js$/, '')}`);
+    });
+    return { pending, unknown };
+}
+
+async function check() {
+    const { pending, unknown } = await status();
+    if (unknown.length > 0) {
+        console.error(`${unknown.length} migration(s) unknown to this version`);
+        return 1;
+    }
+    if (pending.length > 0) {
+        console.error(`${pending.length} pending migration(s)`);
+        return 1;
+    }
+    console.log('Database schema is up to date');
+    return 0;
+}
+
+async function up() {
+    const applied = await migrate(db);
+    console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Nothing to migrate');
+    return 0;
+}
+
+const COMMANDS = {
+    status: async () => { await status(); return 0; },
+    check,
+    up
+};
+
+const command = process.argv[2] || 'status';
+if (!COMMANDS[command]) {
+    console.error(`Usage: node migrate.js [${Object.keys(COMMANDS).join('|')}]`);
+    process.exit(2);
+}
+
+COMMANDS[command]()
+    .catch(error => {
+        console.error(error instanceof MigrationError ? error.message : error);
+        return 1;
+    })
+    .then(code => db.close().finally(() => process.exit(code)));
@@ -0,0 +1,15 @@
+// Login sessions, one per signed-in device
+exports.up = async ({ run }) => {
+    await run(`
+        CREATE TABLE IF NOT EXISTS sessions (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            device TEXT DEFAULT NULL,
+            ip TEXT DEFAULT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_active_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            revoked_at DATETIME DEFAULT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+};
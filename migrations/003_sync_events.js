@@ -0,0 +1,15 @@
+// Sync log: every change a client may miss while offline, scoped to the
+// conversation, group, channel or user that may see it
+exports.up = async ({ run }) => {
+    await run(`
+        CREATE TABLE IF NOT EXISTS sync_events (
+            seq INTEGER PRIMARY KEY AUTOINCREMENT,
+            scope_type TEXT NOT NULL,
+            scope_id TEXT NOT NULL,
+            type TEXT NOT NULL,
+            payload TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_sync_events_scope ON sync_events (scope_type, scope_id, seq)');
+};
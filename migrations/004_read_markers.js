@@ -0,0 +1,17 @@
+// Per-user delivery and read positions in a conversation, group or channel.
+// The *_up_to columns hold the created_at of the last delivered/read message.
+exports.up = async ({ run }) => {
+    await run(`
+        CREATE TABLE IF NOT EXISTS read_markers (
+            chat_type TEXT NOT NULL,
+            chat_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            delivered_message_id TEXT DEFAULT NULL,
+            delivered_up_to DATETIME DEFAULT NULL,
+            read_message_id TEXT DEFAULT NULL,
+            read_up_to DATETIME DEFAULT NULL,
+            PRIMARY KEY (chat_type, chat_id, user_id),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+};
@@ -0,0 +1,33 @@
+const MESSAGE_TABLES = ['messages', 'group_messages', 'channel_messages'];
+
+// Editing and deleting messages: timestamps, previous contents, and
+// messages a user deleted for themselves only
+exports.up = async ({ run, addColumn }) => {
+    for (const table of MESSAGE_TABLES) {
+        await addColumn(table, 'edited_at', 'DATETIME DEFAULT NULL');
+        await addColumn(table, 'deleted_at', 'DATETIME DEFAULT NULL');
+    }
+
+    await run(`
+        CREATE TABLE IF NOT EXISTS message_revisions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            chat_type TEXT NOT NULL,
+            message_id TEXT NOT NULL,
+            content TEXT NOT NULL,
+            edited_by TEXT NOT NULL,
+            edited_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (edited_by) REFERENCES users(id)
+        )
+    `);
+
+    await run(`
+        CREATE TABLE IF NOT EXISTS hidden_messages (
+            chat_type TEXT NOT NULL,
+            message_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            hidden_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (chat_type, message_id, user_id),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+};
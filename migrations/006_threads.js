@@ -0,0 +1,10 @@
+const MESSAGE_TABLES = ['messages', 'group_messages', 'channel_messages'];
+
+// Replies and threads on the message tables
+exports.up = async ({ run, addColumn }) => {
+    for (const table of MESSAGE_TABLES) {
+        await addColumn(table, 'reply_to', 'TEXT DEFAULT NULL');
+        await addColumn(table, 'thread_root', 'TEXT DEFAULT NULL');
+        await run(`CREATE INDEX IF NOT EXISTS idx_${table}_thread_root ON ${table} (thread_root)`);
+    }
+};
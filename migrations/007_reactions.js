@@ -0,0 +1,14 @@
+// Emoji reactions, one row per user and emoji
+exports.up = async ({ run }) => {
+    await run(`
+        CREATE TABLE IF NOT EXISTS message_reactions (
+            chat_type TEXT NOT NULL,
+            message_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            emoji TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (chat_type, message_id, user_id, emoji),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+};
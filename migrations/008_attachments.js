@@ -0,0 +1,28 @@
+const MESSAGE_TABLES = ['messages', 'group_messages', 'channel_messages'];
+
+// Uploaded files. The blob lives in the storage backend under storage_key;
+// chat_type/chat_id say who may download it ('profile' files are public).
+exports.up = async ({ run, addColumn }) => {
+    await run(`
+        CREATE TABLE IF NOT EXISTS attachments (
+            id TEXT PRIMARY KEY,
+            uploader_id TEXT NOT NULL,
+            chat_type TEXT NOT NULL,
+            chat_id TEXT NOT NULL,
+            storage_key TEXT NOT NULL,
+            file_name TEXT DEFAULT NULL,
+            mime_type TEXT NOT NULL,
+            size INTEGER NOT NULL,
+            checksum TEXT NOT NULL,
+            width INTEGER DEFAULT NULL,
+            height INTEGER DEFAULT NULL,
+            duration REAL DEFAULT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (uploader_id) REFERENCES users(id)
+        )
+    `);
+
+    for (const table of MESSAGE_TABLES) {
+        await addColumn(table, 'attachment_id', 'TEXT DEFAULT NULL');
+    }
+};
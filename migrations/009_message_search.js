@@ -0,0 +1,56 @@
+// Message table and chat column for each kind of chat
+const CHAT_TABLES = {
+    conversation: { table: 'messages', chatColumn: 'conversation_id' },
+    group: { table: 'group_messages', chatColumn: 'group_id' },
+    channel: { table: 'channel_messages', chatColumn: 'channel_id' }
+};
+
+// Full-text index over all three message tables, kept in sync by triggers
+exports.up = async ({ run }) => {
+    await run(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS message_search USING fts5(
+            content,
+            chat_type UNINDEXED,
+            chat_id UNINDEXED,
+            message_id UNINDEXED,
+            sender_id UNINDEXED,
+            type UNINDEXED,
+            created_at UNINDEXED,
+            tokenize = 'unicode61 remove_diacritics 2'
+        )
+    `);
+
+    for (const [chatType, { table, chatColumn }] of Object.entries(CHAT_TABLES)) {
+        await run(`
+            CREATE TRIGGER IF NOT EXISTS ${table}_search_insert AFTER INSERT ON ${table} BEGIN
+                INSERT INTO message_search (content, chat_type, chat_id, message_id, sender_id, type, created_at)
+                VALUES (new.content, '${chatType}', new.${chatColumn}, new.id, new.sender_id, new.type, new.created_at);
+            END
+        `);
+        await run(`
+            CREATE TRIGGER IF NOT EXISTS ${table}_search_update AFTER UPDATE OF content ON ${table} BEGIN
+                UPDATE message_search SET content = new.content
+                WHERE chat_type = '${chatType}' AND message_id = new.id;
+            END
+        `);
+        await run(`
+            CREATE TRIGGER IF NOT EXISTS ${table}_search_delete AFTER DELETE ON ${table} BEGIN
+                DELETE FROM message_search WHERE chat_type = '${chatType}' AND message_id = old.id;
+            END
+        `);
+    }
+
+    // Index messages written before the search table existed. A database
+    // that had the table before versioned migrations is already indexed.
+    await run(`
+        INSERT INTO message_search (content, chat_type, chat_id, message_id, sender_id, type, created_at)
+        SELECT * FROM (
+            SELECT content, 'conversation', conversation_id, id, sender_id, type, created_at FROM messages
+            UNION ALL
+            SELECT content, 'group', group_id, id, sender_id, type, created_at FROM group_messages
+            UNION ALL
+            SELECT content, 'channel', channel_id, id, sender_id, type, created_at FROM channel_messages
+        )
+        WHERE (SELECT COUNT(*) FROM message_search) = 0
+    `);
+};
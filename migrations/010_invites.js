@@ -0,0 +1,17 @@
+// Invite links for groups and channels
+exports.up = async ({ run }) => {
+    await run(`
+        CREATE TABLE IF NOT EXISTS invites (
+            code TEXT PRIMARY KEY,
+            chat_type TEXT NOT NULL,
+            chat_id TEXT NOT NULL,
+            created_by TEXT NOT NULL,
+            expires_at DATETIME DEFAULT NULL,
+            max_uses INTEGER DEFAULT NULL,
+            uses INTEGER NOT NULL DEFAULT 0,
+            revoked_at DATETIME DEFAULT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        )
+    `);
+};
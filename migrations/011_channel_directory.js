@@ -0,0 +1,18 @@
+// Channel directory: visibility, unique handles and per-post view counts
+exports.up = async ({ run, addColumn }) => {
+    await addColumn('channels', 'visibility', `TEXT DEFAULT 'private'`);
+    await addColumn('channels', 'handle', 'TEXT DEFAULT NULL');
+    await run('CREATE UNIQUE INDEX IF NOT EXISTS idx_channels_handle ON channels (handle)');
+
+    // One row per user who has seen a channel post
+    await run(`
+        CREATE TABLE IF NOT EXISTS channel_post_views (
+            message_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            viewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (message_id, user_id),
+            FOREIGN KEY (message_id) REFERENCES channel_messages(id),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+};
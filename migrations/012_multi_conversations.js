@@ -0,0 +1,4 @@
+// Creator of a multi-participant conversation
+exports.up = async ({ addColumn }) => {
+    await addColumn('conversations', 'created_by', 'TEXT DEFAULT NULL');
+};
@@ -0,0 +1,22 @@
+// Call history. status is 'ringing' or 'active' while the call lasts, then
+// 'ended', 'missed', 'rejected' or 'busy'
+exports.up = async ({ run }) => {
+    await run(`
+        CREATE TABLE IF NOT EXISTS calls (
+            id TEXT PRIMARY KEY,
+            conversation_id TEXT NOT NULL,
+            caller_id TEXT NOT NULL,
+            callee_id TEXT NOT NULL,
+            is_video INTEGER NOT NULL DEFAULT 0,
+            status TEXT NOT NULL,
+            started_at DATETIME NOT NULL,
+            answered_at DATETIME DEFAULT NULL,
+            ended_at DATETIME DEFAULT NULL,
+            FOREIGN KEY (conversation_id) REFERENCES conversations(id),
+            FOREIGN KEY (caller_id) REFERENCES users(id),
+            FOREIGN KEY (callee_id) REFERENCES users(id)
+        )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_calls_caller ON calls (caller_id, started_at)');
+    await run('CREATE INDEX IF NOT EXISTS idx_calls_callee ON calls (callee_id, started_at)');
+};
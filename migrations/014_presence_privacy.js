@@ -0,0 +1,10 @@
+// Last seen, custom status and privacy settings. The privacy columns hold
+// 'everyone', 'contacts' or 'nobody'.
+exports.up = async ({ addColumn }) => {
+    await addColumn('users', 'last_seen', 'DATETIME DEFAULT NULL');
+    await addColumn('users', 'status_text', 'TEXT DEFAULT NULL');
+    await addColumn('users', 'status_emoji', 'TEXT DEFAULT NULL');
+    await addColumn('users', 'status_expires_at', 'DATETIME DEFAULT NULL');
+    await addColumn('users', 'privacy_last_seen', `TEXT DEFAULT 'everyone'`);
+    await addColumn('users', 'privacy_profile', `TEXT DEFAULT 'everyone'`);
+};
@@ -0,0 +1,30 @@
+// Contacts, blocks and message requests
+exports.up = async ({ run, addColumn }) => {
+    // 'pending' while the recipient of a first message from a non-contact has
+    // not accepted it, 'declined' once they turned it down, NULL otherwise
+    await addColumn('conversation_participants', 'request_state', 'TEXT DEFAULT NULL');
+
+    // user_id keeps contact_id in their address book (one-way)
+    await run(`
+        CREATE TABLE IF NOT EXISTS contacts (
+            user_id TEXT NOT NULL,
+            contact_id TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, contact_id),
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (contact_id) REFERENCES users(id)
+        )
+    `);
+
+    // blocker_id no longer receives messages, calls or presence from blocked_id
+    await run(`
+        CREATE TABLE IF NOT EXISTS blocks (
+            blocker_id TEXT NOT NULL,
+            blocked_id TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (blocker_id, blocked_id),
+            FOREIGN KEY (blocker_id) REFERENCES users(id),
+            FOREIGN KEY (blocked_id) REFERENCES users(id)
+        )
+    `);
+};
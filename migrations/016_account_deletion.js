@@ -0,0 +1,5 @@
+// Accounts deleted with their messages kept stay behind as anonymous
+// tombstones, marked by deleted_at
+exports.up = async ({ addColumn }) => {
+    await addColumn('users', 'deleted_at', 'DATETIME DEFAULT NULL');
+};
@@ -0,0 +1,6 @@
+// Consecutive failed logins, and until when the account refuses logins
+// after too many (see rateLimits.js)
+exports.up = async ({ addColumn }) => {
+    await addColumn('users', 'failed_logins', 'INTEGER DEFAULT 0');
+    await addColumn('users', 'locked_until', 'DATETIME DEFAULT NULL');
+};
@@ -0,0 +1,71 @@
+// Message table and chat column for each kind of chat
+const CHAT_TABLES = {
+    conversation: { table: 'messages', chatColumn: 'conversation_id' },
+    group: { table: 'group_messages', chatColumn: 'group_id' },
+    channel: { table: 'channel_messages', chatColumn: 'channel_id' }
+};
+
+// Message search for PostgreSQL, which has no FTS5 and so skips 009: a plain
+// table with a generated tsvector column and a GIN index, kept in sync by one
+// trigger function shared by the tables. Unlike the FTS5 tokenizer, the
+// 'simple' configuration keeps diacritics.
+exports.dialect = 'postgres';
+exports.replaces = [9];
+
+exports.up = async ({ run }) => {
+    await run(`
+        CREATE TABLE IF NOT EXISTS message_search (
+            chat_type TEXT NOT NULL,
+            message_id TEXT NOT NULL,
+            chat_id TEXT NOT NULL,
+            sender_id TEXT NOT NULL,
+            type TEXT,
+            created_at TEXT,
+            content TEXT NOT NULL,
+            document TSVECTOR GENERATED ALWAYS AS (to_tsvector('simple', content)) STORED,
+            PRIMARY KEY (chat_type, message_id)
+        )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_message_search_document ON message_search USING GIN (document)');
+
+    // Trigger arguments: the chat type and the table's chat column
+    await run(`
+        CREATE OR REPLACE FUNCTION message_search_sync() RETURNS trigger AS $$
+        BEGIN
+            IF TG_OP = 'DELETE' THEN
+                DELETE FROM message_search WHERE chat_type = TG_ARGV[0] AND message_id = OLD.id;
+                RETURN OLD;
+            ELSIF TG_OP = 'UPDATE' THEN
+                UPDATE message_search SET content = NEW.content
+                WHERE chat_type = TG_ARGV[0] AND message_id = NEW.id;
+            ELSE
+                INSERT INTO message_search (content, chat_type, chat_id, message_id, sender_id, type, created_at)
+                VALUES (NEW.content, TG_ARGV[0], to_jsonb(NEW) ->> TG_ARGV[1], NEW.id, NEW.sender_id,
+                    NEW.type, NEW.created_at);
+            END IF;
+            RETURN NEW;
+        END
+        $$ LANGUAGE plpgsql
+    `);
+
+    for (const [chatType, { table, chatColumn }] of Object.entries(CHAT_TABLES)) {
+        await run(`DROP TRIGGER IF EXISTS ${table}_search ON ${table}`);
+        await run(`
+            CREATE TRIGGER ${table}_search AFTER INSERT OR UPDATE OF content OR DELETE ON ${table}
+            FOR EACH ROW EXECUTE FUNCTION message_search_sync('${chatType}', '${chatColumn}')
+        `);
+    }
+
+    // Index the messages written so far
+    await run(`
+        INSERT INTO message_search (content, chat_type, chat_id, message_id, sender_id, type, created_at)
+        SELECT * FROM (
+            SELECT content, 'conversation', conversation_id, id, sender_id, type, created_at FROM messages
+            UNION ALL
+            SELECT content, 'group', group_id, id, sender_id, type, created_at FROM group_messages
+            UNION ALL
+            SELECT content, 'channel', channel_id, id, sender_id, type, created_at FROM channel_messages
+        ) existing_messages
+        WHERE (SELECT COUNT(*) FROM message_search) = 0
+    `);
+};
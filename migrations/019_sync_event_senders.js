@@ -0,0 +1,5 @@
+// The user whose message an event carries, so that replaying the log can
+// leave out senders the reader blocked (NULL for other events)
+exports.up = async ({ addColumn }) => {
+    await addColumn('sync_events', 'sender_id', 'TEXT DEFAULT NULL');
+};
@@ -0,0 +1,6 @@
+// The message an event carries, so that deleting a message for everyone can
+// take its content out of the log (NULL for other events)
+exports.up = async ({ run, addColumn }) => {
+    await addColumn('sync_events', 'message_id', 'TEXT DEFAULT NULL');
+    await run('CREATE INDEX IF NOT EXISTS idx_sync_events_message ON sync_events (message_id)');
+};
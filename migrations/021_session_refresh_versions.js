@@ -0,0 +1,5 @@
+// How many times a session's refresh token has been exchanged. Refresh tokens
+// carry the count they were issued at, so exchanging one retires it (see auth.js)
+exports.up = async ({ addColumn }) => {
+    await addColumn('sessions', 'refresh_version', 'INTEGER DEFAULT 0');
+};
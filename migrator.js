@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations. Every file in migrations/ is named
+// <version>_<name>.js and exports `up(migration)`, an async function that
+// changes the schema through the helpers of `migrationContext`. `db` is a
+// driver from dbDrivers.js. Each migration runs in its own transaction
+// together with its schema_migrations row, so it is applied completely or
+// not at all.
+//
+// A migration that only applies to one database exports `dialect`; on the
+// others it is recorded as applied without running. It may also export
+// `replaces`, the versions of earlier migrations it stands in for on its
+// dialect, which are then recorded there without running.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+class MigrationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MigrationError';
+    }
+}
+
+// Migration files sorted by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.js'))
+        .map(file => {
+            const match = FILE_PATTERN.exec(file);
+            if (!match) {
+                throw new MigrationError(`Badly named migration file: ${file}`);
+            }
+            const { up, dialect = null, replaces = [] } = require(path.join(dir, file));
+            if (typeof up !== 'function') {
+                throw new MigrationError(`Migration ${file} does not export up()`);
+            }
+            return { version: parseInt(match[1], 10), name: match[2], file, up, dialect, replaces };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new MigrationError(`Duplicate migration version ${migration.version}`);
+        }
+    });
+    return migrations;
+}
+
+// What a migration's up() gets to work with. Schema statements are written
+// in SQLite's dialect and translated by the driver (see dbDrivers.js);
+// `dialect` lets a migration take a different path where that is not enough.
+function migrationContext(db, tx) {
+    return {
+        dialect: db.dialect,
+        run: (sql, params) => tx.run(db.translateSchema(sql), params),
+        all: (sql, params) => tx.all(sql, params),
+
+        // Databases from before versioned migrations may already have some
+        // columns, added back then by ad-hoc ALTERs; only add missing ones
+        async addColumn(table, column, definition) {
+            const columns = await tx.columnNames(table);
+            if (!columns.includes(column)) {
+                await tx.run(db.translateSchema(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`));
+            }
+        }
+    };
+}
+
+async function getAppliedMigrations(db) {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )
+    `);
+    return db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+}
+
+// Applied and pending migrations, plus `unknown` ones: applied to the
+// database but missing from this code, i.e. written by a newer version
+async function getStatus(db, dir = MIGRATIONS_DIR) {
+    const migrations = loadMigrations(dir);
+    const applied = await getAppliedMigrations(db);
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const knownVersions = new Set(migrations.map(migration => migration.version));
+
+    return {
+        applied,
+        pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+        unknown: applied.filter(row => !knownVersions.has(row.version))
+    };
+}
+
+// Versions that do not run on this database: migrations for another
+// dialect and those replaced by a migration for this one
+function skippedVersions(db, migrations) {
+    const skipped = new Set();
+    migrations.forEach(migration => {
+        if (migration.dialect && migration.dialect !== db.dialect) {
+            skipped.add(migration.version);
+        } else {
+            migration.replaces.forEach(version => skipped.add(version));
+        }
+    });
+    return skipped;
+}
+
+async function applyMigration(db, migration, { skip = false } = {}) {
+    try {
+        await db.transaction(async (tx) => {
+            if (!skip) await migration.up(migrationContext(db, tx));
+            await tx.run('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+                [migration.version, migration.name, new Date().toISOString()]);
+        });
+    } catch (error) {
+        throw new MigrationError(`Migration ${migration.file} failed: ${error.message}`);
+    }
+}
+
+// Apply pending migrations in version order. Refuses a database that has
+// migrations this code does not know rather than run an old server on it.
+async function migrate(db, { dir = MIGRATIONS_DIR, log = console.log } = {}) {
+    const { pending, unknown } = await getStatus(db, dir);
+    const skipped = skippedVersions(db, loadMigrations(dir));
+    if (unknown.length > 0) {
+        const versions = unknown.map(row => `${row.version}_${row.name}`).join(', ');
+        throw new MigrationError(`Database has migrations unknown to this version (${versions}), refusing to use it`);
+    }
+
+    for (const migration of pending) {
+        const skip = skipped.has(migration.version);
+        log(`${skip ? 'Skipping' : 'Applying'} migration ${migration.file}`);
+        await applyMigration(db, migration, { skip });
+    }
+    return pending;
+}
+
+module.exports = { MIGRATIONS_DIR, MigrationError, loadMigrations, getStatus, migrate };
@@ -0,0 +1,115 @@
+const { dbHelpers } = require('./database');
+const { HttpError } = require('./errors');
+
+// Thrown when the acting user may not touch a resource; surfaced as 403
+class PermissionError extends HttpError {
+    constructor(message) {
+        super(403, message);
+        this.name = 'PermissionError';
+    }
+}
+
+const ROLE_RANK = { member: 1, admin: 2, owner: 3 };
+
+function hasRole(role, minRole) {
+    return !!role && ROLE_RANK[role] >= ROLE_RANK[minRole];
+}
+
+// Whether `role` sits strictly above `otherRole`
+function outranks(role, otherRole) {
+    return !!role && ROLE_RANK[role] > (ROLE_RANK[otherRole] || 0);
+}
+
+function assertSelf(userId, targetUserId) {
+    if (userId !== targetUserId) {
+        throw new PermissionError('You can only act on your own account');
+    }
+}
+
+async function assertConversationParticipant(userId, conversationId) {
+    const isParticipant = await dbHelpers.isConversationParticipant(conversationId, userId);
+    if (!isParticipant) {
+        throw new PermissionError('Not a participant of this conversation');
+    }
+}
+
+async function assertGroupRole(userId, groupId, minRole = 'member') {
+    const role = await dbHelpers.getGroupRole(groupId, userId);
+    if (!role) {
+        throw new PermissionError('Not a member of this group');
+    }
+    if (!hasRole(role, minRole)) {
+        throw new PermissionError(`Only group ${minRole}s can do this`);
+    }
+    return role;
+}
+
+async function assertChannelRole(userId, channelId, minRole = 'member') {
+    const role = await dbHelpers.getChannelRole(channelId, userId);
+    if (!role) {
+        throw new PermissionError('Not a member of this channel');
+    }
+    if (!hasRole(role, minRole)) {
+        throw new PermissionError(`Only channel ${minRole}s can do this`);
+    }
+    return role;
+}
+
+// Membership of any kind of chat ('conversation', 'group' or 'channel')
+async function assertChatMember(userId, chatType, chatId) {
+    switch (chatType) {
+        case 'conversation':
+            return assertConversationParticipant(userId, chatId);
+        case 'group':
+            return assertGroupRole(userId, chatId);
+        case 'channel':
+            return assertChannelRole(userId, chatId);
+        default:
+            throw new PermissionError('Unknown chat');
+    }
+}
+
+// Express middleware: run an assertion against the request, answer 403 on denial
+function authorize(check) {
+    return async (req, res, next) => {
+        try {
+            await check(req);
+            next();
+        } catch (error) {
+            if (error instanceof PermissionError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('Authorization error:', error);
+            res.status(500).json({ error: 'Authorization failed' });
+        }
+    };
+}
+
+// Route guards reading the resource id from a named route parameter
+const requireSelf = (param) =>
+    authorize(req => assertSelf(req.user.id, req.params[param]));
+
+const requireConversationParticipant = (param) =>
+    authorize(req => assertConversationParticipant(req.user.id, req.params[param]));
+
+const requireGroupRole = (param, minRole = 'member') =>
+    authorize(req => assertGroupRole(req.user.id, req.params[param], minRole));
+
+const requireChannelRole = (param, minRole = 'member') =>
+    authorize(req => assertChannelRole(req.user.id, req.params[param], minRole));
+
+module.exports = {
+    PermissionError,
+    hasRole,
+    outranks,
+    assertSelf,
+    assertConversationParticipant,
+    assertGroupRole,
+    assertChannelRole,
+    assertChatMember,
+    authorize,
+    requireSelf,
+    requireConversationParticipant,
+    requireGroupRole,
+    requireChannelRole
+};
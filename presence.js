@@ -0,0 +1,93 @@
+const { dbHelpers } = require('./database');
+const { badRequest } = require('./errors');
+const { isUserOnline, sendToUser, onUsersLost } = require('./realtime');
+const cluster = require('./cluster');
+
+// Online/offline presence and custom statuses. Changes only go to users who
+// share a conversation or group with the user, and only to those the user's
+// privacy settings allow: privacy_last_seen for presence, privacy_profile for
+// the custom status. A user is online while connected to any instance.
+
+const PRIVACY_LEVELS = ['everyone', 'contacts', 'nobody'];
+const MAX_STATUS_TEXT_LENGTH = 140;
+const MAX_STATUS_EMOJI_LENGTH = 32;
+
+function allows(setting, audienceUser) {
+    return setting === 'everyone' || (setting === 'contacts' && audienceUser.isContact);
+}
+
+// Push a payload to the connected users of the audience the setting allows
+async function broadcast(userId, settingName, payload) {
+    const audience = await dbHelpers.getPresenceAudience(userId);
+    audience.users
+        .filter(user => isUserOnline(user.id) && allows(audience[settingName], user))
+        .forEach(user => sendToUser(user.id, payload));
+}
+
+async function setStatus(userId, status) {
+    await dbHelpers.updateUserStatus(userId, status);
+    await broadcast(userId, 'privacyLastSeen', {
+        type: 'user_status',
+        userId,
+        status,
+        lastSeen: new Date().toISOString()
+    });
+}
+
+// Users connected only through an instance that went away are offline now
+onUsersLost(async (userIds) => {
+    if (!cluster.isLeader()) return;
+    for (const userId of userIds) {
+        await setStatus(userId, 'offline');
+    }
+});
+
+// Custom status: text and/or emoji, cleared automatically after `expiresIn` seconds
+async function setCustomStatus(userId, { text, emoji, expiresIn }) {
+    const statusText = typeof text === 'string' && text.trim() ? text.trim() : null;
+    const statusEmoji = typeof emoji === 'string' && emoji.trim() ? emoji.trim() : null;
+    if (statusText && statusText.length > MAX_STATUS_TEXT_LENGTH) {
+        throw badRequest(`Status text is longer than ${MAX_STATUS_TEXT_LENGTH} characters`);
+    }
+    if (statusEmoji && statusEmoji.length > MAX_STATUS_EMOJI_LENGTH) {
+        throw badRequest('Status emoji is too long');
+    }
+
+    let expiresAt = null;
+    if (expiresIn !== undefined && expiresIn !== null) {
+        const seconds = Number(expiresIn);
+        if (!Number.isInteger(seconds) || seconds <= 0) {
+            throw badRequest('expiresIn must be a positive integer');
+        }
+        expiresAt = new Date(Date.now() + seconds * 1000).toISOString();
+    }
+
+    const customStatus = statusText || statusEmoji
+        ? { text: statusText, emoji: statusEmoji, expiresAt }
+        : { text: null, emoji: null, expiresAt: null };
+    await dbHelpers.setCustomStatus(userId, customStatus);
+    await broadcast(userId, 'privacyProfile', { type: 'user_custom_status', userId, ...customStatus });
+    return customStatus;
+}
+
+function clearCustomStatus(userId) {
+    return setCustomStatus(userId, {});
+}
+
+async function updatePrivacy(userId, { lastSeen, profile }) {
+    for (const value of [lastSeen, profile]) {
+        if (value !== undefined && !PRIVACY_LEVELS.includes(value)) {
+            throw badRequest(`Privacy settings must be one of: ${PRIVACY_LEVELS.join(', ')}`);
+        }
+    }
+    await dbHelpers.updatePrivacySettings(userId, { lastSeen, profile });
+    const user = await dbHelpers.getFullUser(userId);
+    return user.privacy;
+}
+
+module.exports = {
+    setStatus,
+    setCustomStatus,
+    clearCustomStatus,
+    updatePrivacy
+};
@@ -0,0 +1,268 @@
+const net = require('net');
+const { EventEmitter } = require('events');
+
+// Pub/sub buses connecting server instances (see cluster.js). A bus carries
+// string messages on named channels:
+//   subscribe(channel, handler) -> resolves once subscribed; handler(message)
+//   publish(channel, message)
+//   close()
+// PUBSUB_URL picks the adapter: redis://[[user]:password@]host[:port] for
+// anything speaking the Redis protocol (Redis itself, or pubsubStandIn.js
+// for local runs). Without it the bus only reaches other buses in the same
+// process, which is all a single instance needs.
+
+const DEFAULT_REDIS_PORT = 6379;
+const RECONNECT_DELAY = 1000;
+
+// Commands queued while a connection is down; past this the oldest go, as
+// publishes that old are of no use to the other instances anyway
+const MAX_PENDING = 1000;
+
+// Buses of the in-memory adapter share one hub per process. Handlers run
+// asynchronously and in publish order, as they would over the network.
+const memoryHub = new EventEmitter();
+memoryHub.setMaxListeners(0);
+
+function createMemoryBus() {
+    const subscriptions = [];
+    return {
+        async subscribe(channel, handler) {
+            const listener = message => setImmediate(() => handler(message));
+            memoryHub.on(channel, listener);
+            subscriptions.push([channel, listener]);
+        },
+
+        publish(channel, message) {
+            memoryHub.emit(channel, message);
+        },
+
+        async close() {
+            subscriptions.forEach(([channel, listener]) => memoryHub.off(channel, listener));
+            subscriptions.length = 0;
+        }
+    };
+}
+
+// RESP, the Redis serialization protocol: strings go out as bulk strings,
+// numbers as integers, arrays as arrays
+function encodeResp(value) {
+    if (Array.isArray(value)) {
+        return `*${value.length}\r\n${value.map(encodeResp).join('')}`;
+    }
+    if (typeof value === 'number') {
+        return `:${value}\r\n`;
+    }
+    const text = String(value);
+    return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+}
+
+// Incremental RESP parser: push() takes a chunk off the socket and returns
+// the replies completed by it. Error replies come back as Error objects; a
+// malformed reply throws, after which the reader is of no further use.
+function createRespReader() {
+    let buffer = Buffer.alloc(0);
+
+    // The reply starting at `start`, with the offset after it, or null
+    // when the buffer does not hold all of it yet
+    function parse(start) {
+        const lineEnd = buffer.indexOf('\r\n', start);
+        if (lineEnd === -1) return null;
+        const line = buffer.toString('utf8', start + 1, lineEnd);
+        const next = lineEnd + 2;
+
+        switch (String.fromCharCode(buffer[start])) {
+            case '+':
+                return { value: line, end: next };
+            case '-':
+                return { value: new Error(line), end: next };
+            case ':':
+                return { value: parseInt(line, 10), end: next };
+            case '$': {
+                const length = parseInt(line, 10);
+                if (isNaN(length)) throw new Error(`Malformed RESP reply: $${line}`);
+                if (length < 0) return { value: null, end: next };
+                if (buffer.length < next + length + 2) return null;
+                return { value: buffer.toString('utf8', next, next + length), end: next + length + 2 };
+            }
+            case '*': {
+                const count = parseInt(line, 10);
+                if (isNaN(count)) throw new Error(`Malformed RESP reply: *${line}`);
+                if (count < 0) return { value: null, end: next };
+                const items = [];
+                let end = next;
+                for (let i = 0; i < count; i++) {
+                    const item = parse(end);
+                    if (!item) return null;
+                    items.push(item.value);
+                    end = item.end;
+                }
+                return { value: items, end };
+            }
+            default:
+                throw new Error(`Malformed RESP reply: ${line}`);
+        }
+    }
+
+    return {
+        push(chunk) {
+            buffer = Buffer.concat([buffer, chunk]);
+            const replies = [];
+            for (let reply = parse(0); reply; reply = parse(0)) {
+                replies.push(reply.value);
+                buffer = buffer.subarray(reply.end);
+            }
+            return replies;
+        }
+    };
+}
+
+// A connection to a Redis-protocol server that reconnects whenever it drops.
+// `onConnect` runs on every (re)connect to restore state such as
+// subscriptions. Failing to connect the first time is fatal: `ready` rejects.
+function createRedisConnection({ host, port, username, password }, { name, onConnect, onReply }) {
+    let socket = null;
+    let connected = false;
+    let closed = false;
+    let everConnected = false;
+    let resolveReady;
+    let rejectReady;
+    const ready = new Promise((resolve, reject) => {
+        resolveReady = resolve;
+        rejectReady = reject;
+    });
+    const pending = []; // commands written while disconnected
+    let dropped = 0;
+
+    function write(args) {
+        if (connected) {
+            socket.write(encodeResp(args.map(String)));
+            return;
+        }
+        pending.push(args);
+        if (pending.length > MAX_PENDING) {
+            pending.shift();
+            dropped++;
+        }
+    }
+
+    function connect() {
+        const reader = createRespReader();
+        socket = net.createConnection({ host, port });
+        socket.setNoDelay(true);
+
+        socket.on('connect', () => {
+            connected = true;
+            everConnected = true;
+            if (password) {
+                write(username ? ['AUTH', username, password] : ['AUTH', password]);
+            }
+            onConnect(write);
+            if (dropped > 0) {
+                console.error(`Pub/sub ${name} dropped ${dropped} commands while disconnected`);
+                dropped = 0;
+            }
+            pending.splice(0).forEach(write);
+            resolveReady();
+        });
+        socket.on('data', (chunk) => {
+            let replies;
+            try {
+                replies = reader.push(chunk);
+            } catch (error) {
+                // Nothing after a bad frame can be trusted: start over on a new connection
+                console.error(`Pub/sub ${name} protocol error:`, error.message);
+                socket.destroy();
+                return;
+            }
+            replies.forEach(reply => {
+                if (reply instanceof Error) console.error(`Pub/sub ${name} error:`, reply.message);
+                else onReply(reply);
+            });
+        });
+        socket.on('error', (error) => {
+            if (!everConnected) {
+                closed = true;
+                rejectReady(new Error(`Cannot connect to pub/sub server at ${host}:${port}: ${error.message}`));
+                return;
+            }
+            console.error(`Pub/sub ${name} connection error:`, error.message);
+        });
+        socket.on('close', () => {
+            connected = false;
+            if (!closed) setTimeout(connect, RECONNECT_DELAY).unref();
+        });
+    }
+
+    connect();
+    return {
+        ready,
+        write,
+        close() {
+            closed = true;
+            if (socket) socket.end();
+        }
+    };
+}
+
+// Subscriptions need a connection of their own: once subscribed, a Redis
+// connection accepts nothing but (un)subscribe commands
+function createRedisBus(url) {
+    const { hostname, port, username, password } = new URL(url);
+    const options = {
+        host: hostname || 'localhost',
+        port: parseInt(port, 10) || DEFAULT_REDIS_PORT,
+        username: decodeURIComponent(username),
+        password: decodeURIComponent(password)
+    };
+
+    const handlers = new Map(); // Map<channel, handler>
+    const waiting = new Map(); // Map<channel, resolve>, subscriptions not yet confirmed
+
+    const subscriber = createRedisConnection(options, {
+        name: 'subscriber',
+        onConnect: write => {
+            if (handlers.size > 0) write(['SUBSCRIBE', ...handlers.keys()]);
+        },
+        onReply: ([kind, channel, message]) => {
+            if (kind === 'message' && handlers.has(channel)) {
+                handlers.get(channel)(message);
+            } else if (kind === 'subscribe' && waiting.has(channel)) {
+                waiting.get(channel)();
+                waiting.delete(channel);
+            }
+        }
+    });
+    const publisher = createRedisConnection(options, { name: 'publisher', onConnect: () => { }, onReply: () => { } });
+
+    return {
+        async subscribe(channel, handler) {
+            await Promise.all([subscriber.ready, publisher.ready]);
+            handlers.set(channel, handler);
+            await new Promise((resolve) => {
+                waiting.set(channel, resolve);
+                subscriber.write(['SUBSCRIBE', channel]);
+            });
+        },
+
+        publish(channel, message) {
+            publisher.write(['PUBLISH', channel, message]);
+        },
+
+        async close() {
+            subscriber.close();
+            publisher.close();
+        }
+    };
+}
+
+function createBus(url = process.env.PUBSUB_URL) {
+    if (!url) {
+        return createMemoryBus();
+    }
+    if (url.startsWith('redis://')) {
+        return createRedisBus(url);
+    }
+    throw new Error(`Unsupported PUBSUB_URL, expected redis://...: ${url}`);
+}
+
+module.exports = { createBus, createMemoryBus, createRedisBus, encodeResp, createRespReader };
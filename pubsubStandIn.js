@@ -0,0 +1,91 @@
+const net = require('net');
+const { encodeResp, createRespReader } = require('./pubsub');
+
+// A stand-in for Redis that implements only what the pub/sub bus uses:
+// PING, AUTH (any password), SUBSCRIBE, UNSUBSCRIBE, PUBLISH and QUIT. For
+// running several instances on one machine without installing Redis:
+//   node pubsubStandIn.js [port]
+//   PUBSUB_URL=redis://localhost:6379 PORT=3001 node index.js
+//   PUBSUB_URL=redis://localhost:6379 PORT=3002 node index.js
+
+const DEFAULT_PORT = 6379;
+
+function createStandInServer() {
+    const channels = new Map(); // Map<channel, Set<socket>>
+
+    function subscribe(socket, subscriptions, channel) {
+        if (!channels.has(channel)) channels.set(channel, new Set());
+        channels.get(channel).add(socket);
+        subscriptions.add(channel);
+    }
+
+    function unsubscribe(socket, subscriptions, channel) {
+        const subscribers = channels.get(channel);
+        if (subscribers) {
+            subscribers.delete(socket);
+            if (subscribers.size === 0) channels.delete(channel);
+        }
+        subscriptions.delete(channel);
+    }
+
+    function publish(channel, message) {
+        const subscribers = channels.get(channel) || new Set();
+        const data = encodeResp(['message', channel, message]);
+        subscribers.forEach(socket => socket.write(data));
+        return subscribers.size;
+    }
+
+    return net.createServer((socket) => {
+        const reader = createRespReader();
+        const subscriptions = new Set();
+
+        function execute([command, ...args]) {
+            switch (String(command).toUpperCase()) {
+                case 'PING':
+                    return socket.write('+PONG\r\n');
+                case 'AUTH':
+                    return socket.write('+OK\r\n');
+                case 'SUBSCRIBE':
+                    return args.forEach(channel => {
+                        subscribe(socket, subscriptions, channel);
+                        socket.write(encodeResp(['subscribe', channel, subscriptions.size]));
+                    });
+                case 'UNSUBSCRIBE':
+                    return (args.length > 0 ? args : [...subscriptions]).forEach(channel => {
+                        unsubscribe(socket, subscriptions, channel);
+                        socket.write(encodeResp(['unsubscribe', channel, subscriptions.size]));
+                    });
+                case 'PUBLISH':
+                    return socket.write(encodeResp(publish(args[0], args[1])));
+                case 'QUIT':
+                    socket.write('+OK\r\n');
+                    return socket.end();
+                default:
+                    return socket.write(`-ERR unknown command '${command}'\r\n`);
+            }
+        }
+
+        socket.on('data', (chunk) => {
+            try {
+                reader.push(chunk).forEach(command => {
+                    if (Array.isArray(command)) execute(command);
+                });
+            } catch (error) {
+                socket.end(`-ERR ${error.message}\r\n`);
+            }
+        });
+        socket.on('close', () => {
+            [...subscriptions].forEach(channel => unsubscribe(socket, subscriptions, channel));
+        });
+        socket.on('error', () => { });
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2], 10) || DEFAULT_PORT;
+    createStandInServer().listen(port, () => {
+        console.log(`Pub/sub stand-in listening on port ${port}`);
+    });
+}
+
+module.exports = { createStandInServer };
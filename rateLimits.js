@@ -0,0 +1,129 @@
+const { dbHelpers } = require('./database');
+const { tooManyRequests } = require('./errors');
+
+// Token-bucket rate limits and the login lockout. Every limit is a bucket of
+// `count` tokens refilling over `seconds`, one bucket per key (an IP address
+// or a user id); each request takes a token and is refused with a 429 while
+// the bucket is empty. Limits can be changed with RATE_LIMIT_<NAME>, e.g.
+// RATE_LIMIT_LOGIN=20/60, or switched off with RATE_LIMIT_<NAME>=off.
+// Buckets live in memory, so with several instances each one counts on its
+// own; the login lockout is kept in the database and applies everywhere.
+
+const LIMITS = {
+    login: '10/60', // per IP
+    register: '5/3600', // per IP
+    refresh: '30/60', // refresh token exchanges, per IP
+    api: '300/60', // authenticated REST requests, per user
+    message: '30/10', // messages posted in any chat, over WebSocket or REST, per user
+    typing: '20/10', // per user
+    call_offer: '5/60' // per user
+};
+
+// Consecutive failed logins before an account is locked. The lock lasts
+// LOGIN_LOCKOUT_BASE seconds and doubles with every further failure, up to
+// LOGIN_LOCKOUT_MAX. A successful login resets the count.
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const LOCKOUT_BASE = (parseInt(process.env.LOGIN_LOCKOUT_BASE, 10) || 30) * 1000;
+const LOCKOUT_MAX = (parseInt(process.env.LOGIN_LOCKOUT_MAX, 10) || 3600) * 1000;
+
+const SWEEP_INTERVAL = 60 * 1000;
+
+function parseLimit(name, value) {
+    if (value === 'off') return null;
+    const [count, seconds] = value.split('/').map(Number);
+    if (!(count > 0) || !(seconds > 0)) {
+        throw new Error(`Invalid rate limit ${name}=${value}, expected <count>/<seconds> or off`);
+    }
+    return { count, perMs: seconds * 1000 / count };
+}
+
+const limits = Object.fromEntries(Object.entries(LIMITS).map(([name, fallback]) => {
+    const variable = `RATE_LIMIT_${name.toUpperCase()}`;
+    return [name, parseLimit(variable, process.env[variable] || fallback)];
+}));
+
+const buckets = new Map(); // Map<'<limit>:<key>', { tokens, updatedAt }>
+
+// Tokens in a bucket after refilling it up to now
+function refill(limit, bucket, now) {
+    return Math.min(limit.count, bucket.tokens + (now - bucket.updatedAt) / limit.perMs);
+}
+
+// Take a token from the bucket of `key` under limit `name`, or throw a 429
+// saying how many seconds until the next one
+function consume(name, key) {
+    const limit = limits[name];
+    if (!limit) return;
+
+    const now = Date.now();
+    const bucketKey = `${name}:${key}`;
+    const bucket = buckets.get(bucketKey) || { tokens: limit.count, updatedAt: now };
+    bucket.tokens = refill(limit, bucket, now);
+    bucket.updatedAt = now;
+    buckets.set(bucketKey, bucket);
+
+    if (bucket.tokens < 1) {
+        const retryAfter = Math.ceil((1 - bucket.tokens) * limit.perMs / 1000);
+        throw tooManyRequests(`Rate limit exceeded, try again in ${retryAfter} seconds`, retryAfter);
+    }
+    bucket.tokens -= 1;
+}
+
+// Express middleware for limit `name`, keyed by `keyOf(req)`
+function limitRequests(name, keyOf) {
+    return (req, res, next) => {
+        try {
+            consume(name, keyOf(req));
+            next();
+        } catch (error) {
+            sendTooManyRequests(res, error);
+        }
+    };
+}
+
+function sendTooManyRequests(res, error) {
+    res.set('Retry-After', String(error.retryAfter));
+    res.status(error.status).json({ error: error.message, retryAfter: error.retryAfter });
+}
+
+// Full buckets are the same as no bucket
+const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, bucketKey) => {
+        const limit = limits[bucketKey.slice(0, bucketKey.indexOf(':'))];
+        if (refill(limit, bucket, now) >= limit.count) buckets.delete(bucketKey);
+    });
+}, SWEEP_INTERVAL);
+sweepTimer.unref();
+
+// Refuse a locked account, whether or not the password is right
+function checkLoginLock(user) {
+    const remaining = user.locked_until ? Date.parse(user.locked_until) - Date.now() : 0;
+    if (remaining > 0) {
+        const retryAfter = Math.ceil(remaining / 1000);
+        throw tooManyRequests(`Too many failed login attempts, try again in ${retryAfter} seconds`, retryAfter);
+    }
+}
+
+async function recordLoginFailure(user) {
+    const failures = await dbHelpers.recordFailedLogin(user.id);
+    if (failures >= LOCKOUT_THRESHOLD) {
+        const duration = Math.min(LOCKOUT_BASE * 2 ** (failures - LOCKOUT_THRESHOLD), LOCKOUT_MAX);
+        await dbHelpers.lockLogin(user.id, new Date(Date.now() + duration).toISOString());
+    }
+}
+
+async function recordLoginSuccess(user) {
+    if (user.failed_logins > 0) {
+        await dbHelpers.clearFailedLogins(user.id);
+    }
+}
+
+module.exports = {
+    consume,
+    limitRequests,
+    sendTooManyRequests,
+    checkLoginLock,
+    recordLoginFailure,
+    recordLoginSuccess
+};
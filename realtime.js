@@ -0,0 +1,273 @@
+const WebSocket = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const { dbHelpers } = require('./database');
+const {
+    assertConversationParticipant,
+    assertGroupRole,
+    assertChannelRole
+} = require('./permissions');
+const cluster = require('./cluster');
+
+// Store active connections, every socket carries the id of its login session
+// and a client handle: { instanceId, socketId, userId }, which other modules
+// and other instances use to address that one socket
+const connections = new Map(); // Map<userId, Set<WebSocket>>
+
+// Sessions connected to other instances, as those instances reported them
+const remoteSessions = new Map(); // Map<instanceId, Map<userId, Set<sessionId>>>
+const usersLostHandlers = [];
+
+function addConnection(userId, ws) {
+    ws.client = { instanceId: cluster.instanceId, socketId: uuidv4(), userId };
+    if (!connections.has(userId)) {
+        connections.set(userId, new Set());
+    }
+    connections.get(userId).add(ws);
+    cluster.broadcast('session_opened', { userId, sessionId: ws.sessionId });
+}
+
+// Remove a socket; returns true when it was the user's last one on any instance
+function removeConnection(userId, ws) {
+    const sockets = connections.get(userId);
+    if (!sockets || !sockets.delete(ws)) return false;
+    if (![...sockets].some(userWs => userWs.sessionId === ws.sessionId)) {
+        cluster.broadcast('session_closed', { userId, sessionId: ws.sessionId });
+    }
+    if (sockets.size > 0) return false;
+    connections.delete(userId);
+    return !isUserOnline(userId);
+}
+
+function remoteSessionsOf(userId) {
+    return [...remoteSessions.values()]
+        .map(users => users.get(userId))
+        .filter(Boolean);
+}
+
+function isUserOnline(userId) {
+    return connections.has(userId) || remoteSessionsOf(userId).length > 0;
+}
+
+function isSessionOnline(userId, sessionId) {
+    const sockets = connections.get(userId);
+    return (!!sockets && [...sockets].some(ws => ws.sessionId === sessionId))
+        || remoteSessionsOf(userId).some(sessionIds => sessionIds.has(sessionId));
+}
+
+function sendToLocalUser(userId, data, exceptSocketId = null) {
+    const sockets = connections.get(userId);
+    if (!sockets) return;
+    sockets.forEach(userWs => {
+        if (userWs.client.socketId !== exceptSocketId && userWs.readyState === WebSocket.OPEN) {
+            userWs.send(data);
+        }
+    });
+}
+
+// Send a payload to every connected session of a user, on whichever instance,
+// optionally skipping one client
+function sendToUser(userId, payload, exceptClient = null) {
+    const exceptSocketId = exceptClient ? exceptClient.socketId : null;
+    sendToLocalUser(userId, JSON.stringify(payload), exceptSocketId);
+    remoteSessions.forEach((users, instanceId) => {
+        if (users.has(userId)) {
+            cluster.sendTo(instanceId, 'deliver', { userId, payload, exceptSocketId });
+        }
+    });
+}
+
+function sendToLocalClient({ userId, socketId }, data) {
+    const sockets = connections.get(userId) || [];
+    sockets.forEach(userWs => {
+        if (userWs.client.socketId === socketId && userWs.readyState === WebSocket.OPEN) {
+            userWs.send(data);
+        }
+    });
+}
+
+// Send a payload to one socket, identified by its client handle
+function sendToClient(client, payload) {
+    if (client.instanceId === cluster.instanceId) {
+        sendToLocalClient(client, JSON.stringify(payload));
+    } else {
+        cluster.sendTo(client.instanceId, 'deliver_client', { client, payload });
+    }
+}
+
+// Report a failed client event the way the WebSocket handler does
+function sendError(client, error) {
+    sendToClient(client, { type: 'error', error: error.message, status: error.status || 500 });
+}
+
+function closeLocalSession(userId, sessionId) {
+    const sockets = connections.get(userId);
+    if (!sockets) return;
+    sockets.forEach(userWs => {
+        if (userWs.sessionId === sessionId) {
+            userWs.close(4001, 'Session revoked');
+        }
+    });
+}
+
+// Disconnect every socket of a revoked session
+function closeSession(userId, sessionId) {
+    closeLocalSession(userId, sessionId);
+    cluster.broadcast('close_session', { userId, sessionId });
+}
+
+// Run `handler(userIds)` when an instance goes away, with those of its users
+// who are not connected anywhere else
+function onUsersLost(handler) {
+    usersLostHandlers.push(handler);
+}
+
+cluster.on('deliver', ({ userId, payload, exceptSocketId }) => {
+    sendToLocalUser(userId, JSON.stringify(payload), exceptSocketId);
+});
+
+cluster.on('deliver_client', ({ client, payload }) => {
+    sendToLocalClient(client, JSON.stringify(payload));
+});
+
+cluster.on('close_session', ({ userId, sessionId }) => closeLocalSession(userId, sessionId));
+
+cluster.on('session_opened', ({ userId, sessionId }, from) => {
+    if (!remoteSessions.has(from)) remoteSessions.set(from, new Map());
+    const users = remoteSessions.get(from);
+    if (!users.has(userId)) users.set(userId, new Set());
+    users.get(userId).add(sessionId);
+});
+
+cluster.on('session_closed', ({ userId, sessionId }, from) => {
+    const users = remoteSessions.get(from);
+    const sessionIds = users && users.get(userId);
+    if (!sessionIds) return;
+    sessionIds.delete(sessionId);
+    if (sessionIds.size === 0) users.delete(userId);
+});
+
+// A new instance learns who is connected here from a snapshot
+cluster.on('peer_joined', (data, peerId) => {
+    const sessions = [...connections].map(([userId, sockets]) => [
+        userId,
+        [...new Set([...sockets].map(ws => ws.sessionId))]
+    ]);
+    cluster.sendTo(peerId, 'sessions_snapshot', sessions);
+});
+
+cluster.on('sessions_snapshot', (sessions, from) => {
+    remoteSessions.set(from, new Map(sessions.map(([userId, sessionIds]) => [userId, new Set(sessionIds)])));
+});
+
+cluster.on('peer_lost', async (data, peerId) => {
+    const users = remoteSessions.get(peerId);
+    remoteSessions.delete(peerId);
+    if (!users) return;
+    const lostUserIds = [...users.keys()].filter(userId => !isUserOnline(userId));
+    for (const handler of usersLostHandlers) {
+        await handler(lostUserIds);
+    }
+});
+
+// Record an event in the sync log, then push it live to the given users.
+// Offline users pick it up from the log when they reconnect. `senderId` marks
+// events about something a user did, which replays skip for those who blocked
+// that user and which deleting the account drops; `messageId` marks events
+// carrying a message's content, which deleting the message drops (see dbHelpers).
+async function publishEvent(scopeType, scopeId, recipientIds, type, data, { senderId = null, messageId = null } = {}) {
+    const seq = await dbHelpers.appendEvent(scopeType, scopeId, type, data, { senderId, messageId });
+    recipientIds.forEach(recipientId => sendToUser(recipientId, { ...data, type, seq }));
+    return seq;
+}
+
+// Push a stored conversation message to every participant, except those who
+// declined the conversation or blocked the sender
+async function deliverMessage(message) {
+    const participants = await dbHelpers.getConversationRecipients(message.conversationId, message.senderId);
+    const sender = await dbHelpers.getUserById(message.senderId);
+    await publishEvent('conversation', message.conversationId, participants, 'new_message', {
+        message: {
+            ...message,
+            sender_username: sender.username
+        }
+    }, { senderId: message.senderId, messageId: message.id });
+}
+
+// Push a stored group message to every member
+async function deliverGroupMessage(message) {
+    const memberIds = await dbHelpers.getGroupMemberIds(message.groupId);
+    const sender = await dbHelpers.getUserById(message.senderId);
+    await publishEvent('group', message.groupId, memberIds, 'new_group_message', {
+        message: {
+            ...message,
+            sender_username: sender.username
+        }
+    }, { senderId: message.senderId, messageId: message.id });
+}
+
+// Push a stored channel post to every subscriber
+async function deliverChannelMessage(message) {
+    const memberIds = await dbHelpers.getChannelMemberIds(message.channelId);
+    const sender = await dbHelpers.getUserById(message.senderId);
+    await publishEvent('channel', message.channelId, memberIds, 'new_channel_message', {
+        message: {
+            ...message,
+            sender_username: sender.username
+        }
+    }, { senderId: message.senderId, messageId: message.id });
+}
+
+// Work out which chat a client event targets and check the user belongs to it
+async function resolveChat(userId, message) {
+    if (message.groupId) {
+        await assertGroupRole(userId, message.groupId);
+        return { chatType: 'group', chatId: message.groupId };
+    }
+    if (message.channelId) {
+        await assertChannelRole(userId, message.channelId);
+        return { chatType: 'channel', chatId: message.channelId };
+    }
+    await assertConversationParticipant(userId, message.conversationId);
+    return { chatType: 'conversation', chatId: message.conversationId };
+}
+
+function getChatMemberIds(chatType, chatId) {
+    switch (chatType) {
+        case 'group':
+            return dbHelpers.getGroupMemberIds(chatId);
+        case 'channel':
+            return dbHelpers.getChannelMemberIds(chatId);
+        default:
+            return dbHelpers.getConversationParticipants(chatId);
+    }
+}
+
+// Members an event about something `actorId` did goes to. In conversations
+// that leaves out those who declined the request or blocked the actor, as
+// replaying the log does for events published with `senderId: actorId`.
+async function getRecipientIds(chatType, chatId, actorId) {
+    if (chatType === 'conversation') {
+        return dbHelpers.getConversationRecipients(chatId, actorId);
+    }
+    return getChatMemberIds(chatType, chatId);
+}
+
+module.exports = {
+    connections,
+    addConnection,
+    removeConnection,
+    isUserOnline,
+    isSessionOnline,
+    sendToUser,
+    sendToClient,
+    sendError,
+    closeSession,
+    onUsersLost,
+    publishEvent,
+    deliverMessage,
+    deliverGroupMessage,
+    deliverChannelMessage,
+    resolveChat,
+    getChatMemberIds,
+    getRecipientIds
+};
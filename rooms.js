@@ -0,0 +1,306 @@
+const { badRequest, notFound } = require('./errors');
+const { PermissionError } = require('./permissions');
+const { sendToUser, sendToClient, sendError, resolveChat, getChatMemberIds } = require('./realtime');
+const { isOnCall } = require('./calls');
+const cluster = require('./cluster');
+
+// Group call rooms, one per group or conversation. Media flows peer to peer
+// in a full mesh: whoever joins sends an offer to every participant already
+// in the room, and the server relays offers, answers and ICE candidates
+// between the two sockets that joined. A user is in at most one room, with
+// one device.
+//
+// With several instances (see cluster.js) a room belongs to the instance it
+// was started on. The owner changes it and shares every change; the others
+// keep a copy to relay signals and answer roster requests, and forward
+// joins, leaves and media updates to the owner. Two instances starting the
+// same room at the same moment each end up with a room of their own.
+
+const MAX_PARTICIPANTS = parseInt(process.env.CALL_ROOM_MAX_PARTICIPANTS, 10) || 8;
+const SIGNALS = {
+    room_offer: 'offer',
+    room_answer: 'answer',
+    room_ice_candidate: 'candidate'
+};
+
+const rooms = new Map(); // Map<roomId, room>, owned here or copied from the owner
+const userRooms = new Map(); // Map<userId, roomId>
+
+function roomIdFor({ chatType, chatId }) {
+    return `${chatType}:${chatId}`;
+}
+
+// A participant as shown to others, without the client handle
+function describe({ client, ...participant }) {
+    return participant;
+}
+
+function roster(room) {
+    return [...room.participants.values()].map(describe);
+}
+
+function isOwned(room) {
+    return room.owner === cluster.instanceId;
+}
+
+function sendToRoom(room, payload, exceptUserId = null) {
+    room.participants.forEach(participant => {
+        if (participant.userId !== exceptUserId) {
+            sendToClient(participant.client, payload);
+        }
+    });
+}
+
+// Store a room as its owner describes it. A room of the same chat started
+// here at the same time stays as it is.
+function storeRoom({ participants, ...room }) {
+    const existing = rooms.get(room.id);
+    if (existing && isOwned(existing)) return;
+    dropRoom(room.id);
+    rooms.set(room.id, { ...room, participants: new Map(participants.map(p => [p.userId, p])) });
+    participants.forEach(participant => userRooms.set(participant.userId, room.id));
+}
+
+function dropRoom(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    rooms.delete(roomId);
+    room.participants.forEach((participant, userId) => {
+        if (userRooms.get(userId) === roomId) userRooms.delete(userId);
+    });
+}
+
+function serializeRoom(room) {
+    return { ...room, participants: [...room.participants.values()] };
+}
+
+// Share a change to an owned room, before its participants hear about it and act on it
+function shareRoom(room) {
+    if (room.participants.size > 0) {
+        cluster.broadcast('room_updated', serializeRoom(room));
+    } else {
+        cluster.broadcast('room_closed', { id: room.id });
+    }
+}
+
+// Tell the whole chat that a call started or finished, so members can join
+async function announce(room, type) {
+    const memberIds = await getChatMemberIds(room.chatType, room.chatId);
+    memberIds.forEach(memberId => sendToUser(memberId, {
+        type,
+        roomId: room.id,
+        chatType: room.chatType,
+        chatId: room.chatId,
+        participantCount: room.participants.size
+    }));
+}
+
+async function resolveRoomChat(userId, message) {
+    if (message.channelId) {
+        throw badRequest('Channels have no calls');
+    }
+    return resolveChat(userId, message);
+}
+
+function findRoom(userId) {
+    const room = rooms.get(userRooms.get(userId));
+    if (!room) {
+        throw notFound('Not in a call room');
+    }
+    return room;
+}
+
+async function joinRoom(client, userId, message) {
+    const chat = await resolveRoomChat(userId, message);
+    const room = rooms.get(roomIdFor(chat));
+    if (room && !isOwned(room)) {
+        cluster.sendTo(room.owner, 'room_action', { action: 'join', client, userId, chat, message });
+        return;
+    }
+    await joinOwnedRoom(client, userId, chat, message);
+}
+
+async function joinOwnedRoom(client, userId, chat, message) {
+    const roomId = roomIdFor(chat);
+    if (userRooms.has(userId)) {
+        throw badRequest(userRooms.get(userId) === roomId
+            ? 'Already in this call room'
+            : 'Leave your current call room first');
+    }
+    if (isOnCall(userId)) {
+        throw badRequest('You are already on a call');
+    }
+
+    let room = rooms.get(roomId);
+    const isNew = !room;
+    if (isNew) {
+        room = {
+            id: roomId,
+            ...chat,
+            participants: new Map(),
+            startedAt: new Date().toISOString(),
+            owner: cluster.instanceId
+        };
+    }
+    if (room.participants.size >= MAX_PARTICIPANTS) {
+        throw badRequest(`A call room holds at most ${MAX_PARTICIPANTS} participants`);
+    }
+
+    const participant = {
+        userId,
+        muted: !!message.muted,
+        video: !!message.video,
+        joinedAt: new Date().toISOString(),
+        client
+    };
+    rooms.set(roomId, room);
+    room.participants.set(userId, participant);
+    userRooms.set(userId, roomId);
+    shareRoom(room);
+
+    // The newcomer gets the roster and sends an offer to everyone on it
+    sendToClient(client, {
+        type: 'room_joined',
+        roomId,
+        chatType: room.chatType,
+        chatId: room.chatId,
+        startedAt: room.startedAt,
+        participants: roster(room)
+    });
+    sendToRoom(room, { type: 'room_participant_joined', roomId, participant: describe(participant) }, userId);
+
+    if (isNew) {
+        await announce(room, 'room_started');
+    }
+}
+
+// Remove a user from their room; closes the room when the last one leaves
+async function leaveRoom(userId) {
+    const room = rooms.get(userRooms.get(userId));
+    if (!room) return;
+    if (!isOwned(room)) {
+        cluster.sendTo(room.owner, 'room_action', { action: 'leave', userId });
+        return;
+    }
+
+    room.participants.delete(userId);
+    userRooms.delete(userId);
+    shareRoom(room);
+    sendToRoom(room, { type: 'room_participant_left', roomId: room.id, userId });
+
+    if (room.participants.size === 0) {
+        rooms.delete(room.id);
+        await announce(room, 'room_closed');
+    }
+}
+
+// Relay an offer, answer or ICE candidate to one other participant
+function relaySignal(userId, message) {
+    const room = findRoom(userId);
+    const target = room.participants.get(message.targetUserId);
+    if (!target) {
+        throw new PermissionError('Not in this call room');
+    }
+    const field = SIGNALS[message.type];
+    sendToClient(target.client, {
+        type: message.type,
+        roomId: room.id,
+        fromUserId: userId,
+        [field]: message[field]
+    });
+}
+
+// Update the user's mute/video state and share it with the room
+function updateMedia(userId, message) {
+    const room = findRoom(userId);
+    if (!isOwned(room)) {
+        cluster.sendTo(room.owner, 'room_action', { action: 'media', userId, message });
+        return;
+    }
+
+    const participant = room.participants.get(userId);
+    if (message.muted !== undefined) participant.muted = !!message.muted;
+    if (message.video !== undefined) participant.video = !!message.video;
+    shareRoom(room);
+
+    sendToRoom(room, {
+        type: 'room_participant_updated',
+        roomId: room.id,
+        userId,
+        muted: participant.muted,
+        video: participant.video
+    });
+}
+
+// Roster of the room of a chat the user belongs to (empty when no call is going)
+async function getRoom(userId, message) {
+    const chat = await resolveRoomChat(userId, message);
+    const room = rooms.get(roomIdFor(chat));
+    return {
+        roomId: roomIdFor(chat),
+        active: !!room,
+        startedAt: room ? room.startedAt : null,
+        participants: room ? roster(room) : []
+    };
+}
+
+// A socket closed; leave if it was the one that joined the room
+async function handleSocketClose(userId, client) {
+    const room = rooms.get(userRooms.get(userId));
+    if (room && room.participants.get(userId).client.socketId === client.socketId) {
+        await leaveRoom(userId);
+    }
+}
+
+// Requests forwarded by other instances to the owner. Failures go straight
+// to the client that made the request.
+const ROOM_ACTIONS = {
+    join: ({ client, userId, chat, message }) => joinOwnedRoom(client, userId, chat, message),
+    leave: ({ userId }) => leaveRoom(userId),
+    media: ({ userId, message }) => updateMedia(userId, message)
+};
+
+cluster.on('room_action', async (request) => {
+    try {
+        await ROOM_ACTIONS[request.action](request);
+    } catch (error) {
+        if (request.client) sendError(request.client, error);
+        else console.error(`Room ${request.action} error:`, error);
+    }
+});
+
+cluster.on('room_updated', room => storeRoom(room));
+cluster.on('room_closed', ({ id }) => dropRoom(id));
+
+cluster.on('peer_joined', (data, peerId) => {
+    rooms.forEach(room => {
+        if (isOwned(room)) cluster.sendTo(peerId, 'room_updated', serializeRoom(room));
+    });
+});
+
+// Participants connected through a lost instance leave the rooms owned here.
+// The rooms the lost instance owned close; one instance tells their chats.
+cluster.on('peer_lost', async (data, peerId) => {
+    for (const room of [...rooms.values()]) {
+        if (isOwned(room)) {
+            const gone = [...room.participants.values()].filter(p => p.client.instanceId === peerId);
+            for (const participant of gone) {
+                await leaveRoom(participant.userId);
+            }
+        } else if (room.owner === peerId) {
+            dropRoom(room.id);
+            if (cluster.isLeader()) {
+                await announce({ ...room, participants: new Map() }, 'room_closed');
+            }
+        }
+    }
+});
+
+module.exports = {
+    joinRoom,
+    leaveRoom,
+    relaySignal,
+    updateMedia,
+    getRoom,
+    handleSocketClose
+};
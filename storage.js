@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+
+// Blob storage backends. A backend stores opaque blobs under a key:
+//   save(key, buffer) -> Promise
+//   createReadStream(key) -> Readable
+//   remove(key) -> Promise
+// STORAGE_BACKEND picks the backend ('local' by default).
+
+function createLocalStorage(rootDir) {
+    const resolveKey = (key) => path.join(rootDir, key.slice(0, 2), key);
+
+    return {
+        name: 'local',
+
+        async save(key, buffer) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+        },
+
+        createReadStream(key) {
+            return fs.createReadStream(resolveKey(key));
+        },
+
+        async remove(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        }
+    };
+}
+
+const backends = {
+    local: () => createLocalStorage(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'))
+};
+
+function createStorage(name = process.env.STORAGE_BACKEND || 'local') {
+    const factory = backends[name];
+    if (!factory) {
+        throw new Error(`Unknown storage backend: ${name}`);
+    }
+    return factory();
+}
+
+const storage = createStorage();
+
+module.exports = { storage, createStorage, createLocalStorage };
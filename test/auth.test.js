@@ -0,0 +1,43 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./server');
+
+// Refresh token exchanges: each refresh token works once, and exchanges are
+// limited per client IP
+
+describe('token refresh', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ RATE_LIMIT_REFRESH: '4/60' });
+    });
+
+    after(() => server.stop());
+
+    const refresh = refreshToken => server.api('POST', '/api/token/refresh', { refreshToken });
+
+    it('issues a new refresh token and retires the one exchanged', async () => {
+        const alice = await server.register('alice');
+
+        const first = await refresh(alice.refreshToken);
+        assert.equal(first.status, 200);
+        assert.equal(first.body.sessionId, alice.sessionId);
+        assert.notEqual(first.body.refreshToken, alice.refreshToken);
+        assert.equal((await server.api('GET', '/api/sessions', undefined, first.body.accessToken)).status, 200);
+
+        assert.equal((await refresh(alice.refreshToken)).status, 401);
+        assert.equal((await refresh(first.body.refreshToken)).status, 200);
+    });
+
+    it('refuses exchanges over the limit with 429', async () => {
+        // Valid or not, every exchange takes a token from the client's bucket
+        let response;
+        for (let i = 0; i < 5; i++) {
+            response = await refresh('invalid');
+            if (response.status === 429) break;
+            assert.equal(response.status, 401);
+        }
+        assert.equal(response.status, 429);
+        assert.equal(response.headers.get('retry-after'), '15');
+    });
+});
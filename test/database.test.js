@@ -0,0 +1,287 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDriver } = require('../dbDrivers');
+const { loadMigrations } = require('../migrator');
+
+// One conformance suite for every database driver (see dbDrivers.js): the
+// driver interface itself, then dbHelpers on a fully migrated schema. SQLite
+// always runs, on a scratch file. PostgreSQL runs when TEST_DATABASE_URL
+// points to a database the suite may wipe, e.g.
+//   TEST_DATABASE_URL=postgres://localhost/messenger_test npm test
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'messenger-test-'));
+process.on('exit', () => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const TARGETS = [
+    { name: 'sqlite', url: `sqlite:${path.join(tmpDir, 'messenger.db')}` },
+    {
+        name: 'postgres',
+        url: process.env.TEST_DATABASE_URL,
+        skip: !process.env.TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set'
+    }
+];
+
+// database.js opens its driver from DATABASE_URL when first loaded
+function loadDatabase(url) {
+    process.env.DATABASE_URL = url;
+    delete require.cache[require.resolve('../database')];
+    return require('../database');
+}
+
+for (const target of TARGETS) {
+    describe(`${target.name} driver`, { skip: target.skip }, () => {
+        let driver;
+        let database;
+
+        before(async () => {
+            driver = createDriver(target.url);
+            if (driver.dialect === 'postgres') {
+                await driver.run('DROP SCHEMA public CASCADE');
+                await driver.run('CREATE SCHEMA public');
+            }
+            await driver.run(driver.translateSchema(`
+                CREATE TABLE conformance_items (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT UNIQUE NOT NULL,
+                    score REAL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `));
+        });
+
+        after(async () => {
+            await driver.close();
+            if (database) await database.db.close();
+        });
+
+        it('binds ? placeholders in order and leaves quoted ones alone', async () => {
+            const row = await driver.get(`SELECT ? AS first, '?' AS quoted, ? AS second`, ['a', 'b']);
+            assert.deepEqual({ ...row }, { first: 'a', quoted: '?', second: 'b' });
+        });
+
+        it('numbers rows and stamps them like SQLite', async () => {
+            await driver.run('INSERT INTO conformance_items (name, score) VALUES (?, ?)', ['one', 1.5]);
+            await driver.run('INSERT INTO conformance_items (name, score) VALUES (?, ?)', ['two', 2.5]);
+            const rows = await driver.all('SELECT id, name, score, created_at FROM conformance_items ORDER BY id');
+            assert.deepEqual(rows.map(row => [row.id, row.name, row.score]), [[1, 'one', 1.5], [2, 'two', 2.5]]);
+            assert.match(rows[0].created_at, /^\d{4}-\d\d-\d\d \d\d:\d\d:\d\d$/);
+        });
+
+        it('reports changed rows, missing rows and counts as numbers', async () => {
+            const { changes } = await driver.run('UPDATE conformance_items SET score = score + 1');
+            assert.equal(changes, 2);
+            assert.equal(await driver.get('SELECT * FROM conformance_items WHERE name = ?', ['none']), undefined);
+            assert.deepEqual(await driver.all('SELECT * FROM conformance_items WHERE name = ?', ['none']), []);
+            assert.equal((await driver.get('SELECT COUNT(*) AS count FROM conformance_items')).count, 2);
+        });
+
+        it('returns inserted values with RETURNING', async () => {
+            const row = await driver.get('INSERT INTO conformance_items (name) VALUES (?) RETURNING id', ['three']);
+            assert.equal(row.id, 3);
+        });
+
+        it('commits a transaction', async () => {
+            const result = await driver.transaction(async (tx) => {
+                await tx.run('INSERT INTO conformance_items (name) VALUES (?)', ['committed']);
+                return tx.get('SELECT name FROM conformance_items WHERE name = ?', ['committed']);
+            });
+            assert.equal(result.name, 'committed');
+            assert.ok(await driver.get('SELECT 1 FROM conformance_items WHERE name = ?', ['committed']));
+        });
+
+        it('rolls a transaction back when its work throws', async () => {
+            await assert.rejects(driver.transaction(async (tx) => {
+                await tx.run('INSERT INTO conformance_items (name) VALUES (?)', ['rolled back']);
+                throw new Error('abort');
+            }), /abort/);
+            assert.equal(await driver.get('SELECT 1 FROM conformance_items WHERE name = ?', ['rolled back']), undefined);
+        });
+
+        it('tells unique violations from other errors', async () => {
+            const duplicate = await driver.run('INSERT INTO conformance_items (name) VALUES (?)', ['one'])
+                .catch(error => error);
+            assert.ok(duplicate instanceof Error);
+            assert.equal(driver.isUniqueViolation(duplicate), true);
+
+            const missing = await driver.run('INSERT INTO conformance_items (name) VALUES (NULL)').catch(error => error);
+            assert.ok(missing instanceof Error);
+            assert.equal(driver.isUniqueViolation(missing), false);
+        });
+
+        it('lists the columns of a table', async () => {
+            const columns = await driver.transaction(tx => tx.columnNames('conformance_items'));
+            assert.deepEqual([...columns].sort(), ['created_at', 'id', 'name', 'score']);
+        });
+
+        describe('dbHelpers', () => {
+            let dbHelpers;
+            let alice;
+            let bob;
+            let conversationId;
+
+            before(async () => {
+                database = loadDatabase(target.url);
+                dbHelpers = database.dbHelpers;
+                await database.initDatabase();
+                alice = await dbHelpers.createUser('alice', 'alice@example.com', 'secret');
+                bob = await dbHelpers.createUser('bob', 'bob@example.com', 'secret');
+                conversationId = await dbHelpers.createConversation(alice.id, bob.id);
+            });
+
+            it('applies every migration', async () => {
+                const applied = await database.db.all('SELECT version FROM schema_migrations');
+                assert.equal(applied.length, loadMigrations().length);
+            });
+
+            it('refuses a duplicate email', async () => {
+                const error = await dbHelpers.createUser('alice2', 'alice@example.com', 'secret').catch(e => e);
+                assert.equal(database.isUniqueViolation(error), true);
+            });
+
+            it('pages conversation history oldest first', async () => {
+                // A millisecond apart, so that timestamps decide the order
+                for (const content of ['first', 'second', 'third']) {
+                    await dbHelpers.createMessage(conversationId, alice.id, content);
+                    await new Promise(resolve => setTimeout(resolve, 2));
+                }
+                const page = await dbHelpers.getMessages(conversationId, { limit: 2 });
+                assert.deepEqual(page.messages.map(m => m.content), ['second', 'third']);
+                assert.equal(page.has_more, true);
+
+                const older = await dbHelpers.getMessages(conversationId, { before: page.messages[0].id });
+                assert.deepEqual(older.messages.map(m => m.content), ['first']);
+                assert.equal(older.has_more, false);
+
+                const smallest = await dbHelpers.getMessages(conversationId, { limit: -5 });
+                assert.deepEqual(smallest.messages.map(m => m.content), ['third']);
+                assert.equal(smallest.has_more, true);
+            });
+
+            it('leaves thread replies out of the unread count', async () => {
+                const group = await dbHelpers.createGroup('Threads', '', alice.id);
+                await dbHelpers.addMember('group', group.id, bob.id);
+                const root = await dbHelpers.createGroupMessage(group.id, alice.id, 'root');
+                await new Promise(resolve => setTimeout(resolve, 2));
+                await dbHelpers.createGroupMessage(group.id, alice.id, 'reply', 'text', { threadRoot: root.id });
+                const unread = async () => (await dbHelpers.getUserGroups(bob.id)).find(g => g.id === group.id).unread_count;
+                assert.equal(await unread(), 1);
+                await dbHelpers.markChat('group', group.id, bob.id, 'read', root.id);
+                assert.equal(await unread(), 0);
+            });
+
+            it('searches messages by word prefix within the user\'s chats', async () => {
+                await dbHelpers.createMessage(conversationId, bob.id, 'We picked PostgreSQL for the backend');
+                const { results } = await dbHelpers.searchMessages(alice.id, 'postgre');
+                assert.equal(results.length, 1);
+                assert.equal(results[0].sender_username, 'bob');
+                assert.match(results[0].snippet, /<mark>PostgreSQL<\/mark>/);
+
+                const carol = await dbHelpers.createUser('carol', 'carol@example.com', 'secret');
+                assert.equal((await dbHelpers.searchMessages(carol.id, 'postgre')).results.length, 0);
+            });
+
+            it('escapes HTML in search snippets', async () => {
+                await dbHelpers.createMessage(conversationId, bob.id, '<img src=x onerror=alert(1)> injected & highlighted');
+                const { results } = await dbHelpers.searchMessages(alice.id, 'injected');
+                assert.match(results[0].snippet, /alert\(1\)&gt; <mark>injected<\/mark> &amp; highlighted$/);
+                assert.doesNotMatch(results[0].snippet, /<img/);
+            });
+
+            it('keeps the search index in step with edits', async () => {
+                const message = await dbHelpers.createMessage(conversationId, alice.id, 'draft wording');
+                await dbHelpers.editMessage('conversation', message.id, alice.id, 'final wording');
+                assert.equal((await dbHelpers.searchMessages(alice.id, 'draft')).results.length, 0);
+                assert.equal((await dbHelpers.searchMessages(alice.id, 'final')).results.length, 1);
+            });
+
+            it('drops the attachment of a message deleted for everyone', async () => {
+                const attachment = await dbHelpers.createAttachment({
+                    uploaderId: alice.id, chatType: 'conversation', chatId: conversationId,
+                    storageKey: 'photo-key', fileName: 'photo.png', mimeType: 'image/png', size: 3, checksum: 'abc'
+                });
+                const message = await dbHelpers.createMessage(conversationId, alice.id, '', 'image', { attachmentId: attachment.id });
+                const deleted = await dbHelpers.deleteMessage('conversation', message.id);
+                assert.deepEqual(deleted.storageKeys, ['photo-key']);
+                assert.equal(await dbHelpers.getAttachment(attachment.id), undefined);
+                assert.equal((await dbHelpers.getChatMessage('conversation', conversationId, message.id)).attachment_id, null);
+            });
+
+            it('drops the logged content of a message deleted for everyone', async () => {
+                const message = await dbHelpers.createMessage(conversationId, alice.id, 'regret');
+                const since = await dbHelpers.getLatestEventSeq();
+                await dbHelpers.appendEvent('conversation', conversationId, 'new_message', { n: 1 },
+                    { senderId: alice.id, messageId: message.id });
+                await dbHelpers.appendEvent('conversation', conversationId, 'message_edited', { n: 2 },
+                    { senderId: alice.id, messageId: message.id });
+                await dbHelpers.appendEvent('conversation', conversationId, 'receipt', { n: 3 });
+                await dbHelpers.deleteMessage('conversation', message.id);
+                assert.deepEqual((await dbHelpers.getEventsSince(bob.id, since)).map(event => event.n), [3]);
+            });
+
+            it('keeps an attachment another message still shows', async () => {
+                const attachment = await dbHelpers.createAttachment({
+                    uploaderId: alice.id, chatType: 'conversation', chatId: conversationId,
+                    storageKey: 'shared-key', fileName: 'shared.png', mimeType: 'image/png', size: 3, checksum: 'abc'
+                });
+                assert.equal(await dbHelpers.isAttachmentSent('conversation', attachment.id), false);
+                const first = await dbHelpers.createMessage(conversationId, alice.id, '', 'image', { attachmentId: attachment.id });
+                const second = await dbHelpers.createMessage(conversationId, alice.id, '', 'image', { attachmentId: attachment.id });
+                assert.equal(await dbHelpers.isAttachmentSent('conversation', attachment.id), true);
+
+                assert.deepEqual((await dbHelpers.deleteMessage('conversation', first.id)).storageKeys, []);
+                assert.ok(await dbHelpers.getAttachment(attachment.id));
+                assert.deepEqual((await dbHelpers.deleteMessage('conversation', second.id)).storageKeys, ['shared-key']);
+                assert.equal(await dbHelpers.getAttachment(attachment.id), undefined);
+            });
+
+            it('logs sync events in sequence', async () => {
+                const first = await dbHelpers.appendEvent('conversation', conversationId, 'ping', { n: 1 });
+                const second = await dbHelpers.appendEvent('conversation', conversationId, 'ping', { n: 2 });
+                assert.ok(second > first);
+                const events = await dbHelpers.getEventsSince(bob.id, first - 1);
+                assert.deepEqual(events.map(event => [event.seq, event.n]), [[first, 1], [second, 2]]);
+            });
+
+            it('replays no declined requests and no messages from blocked senders', async () => {
+                const dave = await dbHelpers.createUser('dave', 'dave@example.com', 'secret');
+                const request = await dbHelpers.createConversation(dave.id, bob.id, { asRequest: true });
+                const since = await dbHelpers.getLatestEventSeq();
+                await dbHelpers.appendEvent('conversation', request, 'new_message', { n: 1 }, { senderId: dave.id });
+                await dbHelpers.appendEvent('conversation', conversationId, 'new_message', { n: 2 }, { senderId: alice.id });
+                await dbHelpers.appendEvent('conversation', conversationId, 'receipt', { n: 3 });
+                assert.deepEqual((await dbHelpers.getEventsSince(bob.id, since)).map(event => event.n), [1, 2, 3]);
+
+                await dbHelpers.setRequestState(request, bob.id, 'declined');
+                await dbHelpers.blockUser(bob.id, alice.id);
+                assert.deepEqual((await dbHelpers.getEventsSince(bob.id, since)).map(event => event.n), [3]);
+                await dbHelpers.unblockUser(bob.id, alice.id);
+            });
+
+            it('drops the logged messages of a deleted account', async () => {
+                const frank = await dbHelpers.createUser('frank', 'frank@example.com', 'secret');
+                const chat = await dbHelpers.createConversation(frank.id, bob.id);
+                const since = await dbHelpers.getLatestEventSeq();
+                await dbHelpers.appendEvent('conversation', chat, 'new_message', { n: 1 }, { senderId: frank.id });
+                await dbHelpers.appendEvent('conversation', chat, 'message_edited', { n: 2 }, { senderId: frank.id });
+                await dbHelpers.appendEvent('conversation', chat, 'new_message', { n: 3 }, { senderId: bob.id });
+                await dbHelpers.deleteUser(frank.id);
+                assert.deepEqual((await dbHelpers.getEventsSince(bob.id, since)).map(event => event.n), [3]);
+            });
+
+            it('names the sender of kept messages "Deleted account" once the account is gone', async () => {
+                const erin = await dbHelpers.createUser('erin', 'erin@example.com', 'secret');
+                const group = await dbHelpers.createGroup('Leavers', '', erin.id);
+                await dbHelpers.addMember('group', group.id, bob.id);
+                await dbHelpers.createGroupMessage(group.id, erin.id, 'goodbye');
+                await dbHelpers.deleteUser(erin.id, { anonymize: true });
+
+                const { messages } = await dbHelpers.getGroupMessages(group.id);
+                assert.deepEqual(messages.map(m => [m.content, m.sender_username]), [['goodbye', 'Deleted account']]);
+                assert.equal((await dbHelpers.getFullUser(erin.id, bob.id)).username, 'Deleted account');
+            });
+        });
+    });
+}
@@ -0,0 +1,129 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDriver } = require('../dbDrivers');
+const { MigrationError, loadMigrations, migrate } = require('../migrator');
+
+// The migrator against a scratch SQLite database, with migration files
+// written for each test
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'messenger-test-'));
+process.on('exit', () => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+let dirCount = 0;
+
+// A migrations directory holding `files`, { '<version>_<name>.js': source }
+function writeMigrations(files) {
+    const dir = path.join(tmpDir, `migrations-${++dirCount}`);
+    fs.mkdirSync(dir);
+    Object.entries(files).forEach(([file, source]) => fs.writeFileSync(path.join(dir, file), source));
+    return dir;
+}
+
+function createTable(name) {
+    return `exports.up = ({ run }) => run('CREATE TABLE ${name} (id INTEGER PRIMARY KEY)');\n`;
+}
+
+describe('migrator', () => {
+    let db;
+    let logged;
+    const log = line => logged.push(line);
+
+    const tables = async () => (await db.all(`SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name`))
+        .map(row => row.name)
+        .filter(name => name !== 'schema_migrations' && !name.startsWith('sqlite_'));
+    const versions = async () => (await db.all('SELECT version FROM schema_migrations ORDER BY version'))
+        .map(row => row.version);
+
+    beforeEach(() => {
+        db = createDriver(`sqlite:${path.join(tmpDir, `migrator-${++dirCount}.db`)}`);
+        logged = [];
+    });
+
+    afterEach(() => db.close());
+
+    it('applies pending migrations in version order, once', async () => {
+        const dir = writeMigrations({
+            '002_second.js': `exports.up = async ({ run }) => {
+                await run('ALTER TABLE first ADD COLUMN label TEXT');
+            };\n`,
+            '001_first.js': createTable('first')
+        });
+
+        const applied = await migrate(db, { dir, log });
+        assert.deepEqual(applied.map(migration => migration.version), [1, 2]);
+        assert.deepEqual(logged, ['Applying migration 001_first.js', 'Applying migration 002_second.js']);
+        assert.deepEqual(await versions(), [1, 2]);
+
+        assert.deepEqual(await migrate(db, { dir, log }), []);
+    });
+
+    it('rolls a failing migration back and records nothing for it', async () => {
+        const dir = writeMigrations({
+            '001_first.js': createTable('first'),
+            '002_broken.js': `exports.up = async ({ run }) => {
+                await run('CREATE TABLE half_done (id INTEGER PRIMARY KEY)');
+                await run('INSERT INTO missing_table VALUES (1)');
+            };\n`,
+            '003_never.js': createTable('never')
+        });
+
+        await assert.rejects(migrate(db, { dir, log }), (error) => {
+            assert.ok(error instanceof MigrationError);
+            assert.match(error.message, /Migration 002_broken\.js failed/);
+            return true;
+        });
+        assert.deepEqual(await tables(), ['first']);
+        assert.deepEqual(await versions(), [1]);
+    });
+
+    it('refuses a database with migrations newer than the code', async () => {
+        const newer = writeMigrations({
+            '001_first.js': createTable('first'),
+            '002_newer.js': createTable('newer')
+        });
+        await migrate(db, { dir: newer, log });
+
+        const older = writeMigrations({
+            '001_first.js': createTable('first'),
+            '003_pending.js': createTable('pending')
+        });
+        await assert.rejects(migrate(db, { dir: older, log }), /unknown to this version \(2_newer\)/);
+        assert.deepEqual(await tables(), ['first', 'newer']);
+    });
+
+    it('records migrations for another dialect without running them', async () => {
+        const dir = writeMigrations({
+            '001_generic.js': createTable('generic'),
+            '002_postgres_only.js': `exports.dialect = 'postgres';\nexports.replaces = [1];\n${createTable('postgres_only')}`
+        });
+
+        await migrate(db, { dir, log });
+        assert.deepEqual(logged, ['Applying migration 001_generic.js', 'Skipping migration 002_postgres_only.js']);
+        assert.deepEqual(await tables(), ['generic']);
+        assert.deepEqual(await versions(), [1, 2]);
+    });
+
+    it('records the migrations a migration for this dialect replaces without running them', async () => {
+        const dir = writeMigrations({
+            '001_generic.js': createTable('generic'),
+            '002_sqlite_only.js': `exports.dialect = 'sqlite';\nexports.replaces = [1];\n${createTable('for_sqlite')}`
+        });
+
+        await migrate(db, { dir, log });
+        assert.deepEqual(logged, ['Skipping migration 001_generic.js', 'Applying migration 002_sqlite_only.js']);
+        assert.deepEqual(await tables(), ['for_sqlite']);
+        assert.deepEqual(await versions(), [1, 2]);
+    });
+
+    it('refuses badly named and duplicate migration files', () => {
+        assert.throws(() => loadMigrations(writeMigrations({ 'first.js': createTable('first') })),
+            /Badly named migration file: first\.js/);
+        assert.throws(() => loadMigrations(writeMigrations({
+            '001_first.js': createTable('first'),
+            '1_again.js': createTable('again')
+        })), /Duplicate migration version 1/);
+    });
+});
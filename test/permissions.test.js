@@ -0,0 +1,120 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./server');
+
+// The shared permission layer (permissions.js) as clients meet it: the
+// require* middleware on REST routes and the assert* checks on WebSocket
+// events refuse outsiders with a 403.
+
+describe('permissions', () => {
+    let server;
+    let alice;
+    let bob;
+    let mallory;
+    let conversationId;
+    let groupId;
+    let channelId;
+
+    before(async () => {
+        server = await startServer();
+        alice = await server.register('alice');
+        bob = await server.register('bob');
+        mallory = await server.register('mallory');
+
+        await server.api('POST', '/api/contacts', { userId: alice.id }, bob.token);
+        conversationId = (await server.api('POST', '/api/conversations', { userId: bob.id }, alice.token)).body.conversationId;
+        groupId = (await server.api('POST', '/api/groups', { name: 'Team' }, alice.token)).body.group.id;
+        channelId = (await server.api('POST', '/api/channels', { name: 'News', visibility: 'public', handle: 'news' }, alice.token))
+            .body.channel.id;
+    });
+
+    after(() => server.stop());
+
+    describe('REST', () => {
+        it('refuses reading chats the user is not in', async () => {
+            for (const route of [
+                `/api/messages/${conversationId}`,
+                `/api/groups/${groupId}/messages`,
+                `/api/channels/${channelId}/messages`
+            ]) {
+                const { status } = await server.api('GET', route, undefined, mallory.token);
+                assert.equal(status, 403, route);
+            }
+        });
+
+        it('refuses posting into chats the user is not in', async () => {
+            const group = await server.api('POST', `/api/groups/${groupId}/messages`, { content: 'hi' }, mallory.token);
+            assert.equal(group.status, 403);
+            const channel = await server.api('POST', `/api/channels/${channelId}/messages`, { content: 'hi' }, mallory.token);
+            assert.equal(channel.status, 403);
+        });
+
+        it('lets only channel admins post outside threads', async () => {
+            await server.api('POST', `/api/channels/${channelId}/subscribe`, undefined, bob.token);
+            const subscriber = await server.api('POST', `/api/channels/${channelId}/messages`, { content: 'hi' }, bob.token);
+            assert.equal(subscriber.status, 403);
+            const admin = await server.api('POST', `/api/channels/${channelId}/messages`, { content: 'hi' }, alice.token);
+            assert.equal(admin.status, 200);
+        });
+
+        it('refuses acting on another user\'s account', async () => {
+            const profile = await server.api('PUT', `/api/users/${alice.id}/profile`, { bio: 'taken over' }, mallory.token);
+            assert.equal(profile.status, 403);
+            const privacy = await server.api('GET', `/api/users/${alice.id}/privacy`, undefined, mallory.token);
+            assert.equal(privacy.status, 403);
+            const removal = await server.api('DELETE', `/api/users/${alice.id}`, undefined, mallory.token);
+            assert.equal(removal.status, 403);
+
+            const me = await server.api('GET', `/api/users/${alice.id}/privacy`, undefined, alice.token);
+            assert.equal(me.status, 200);
+        });
+
+        it('refuses requests without a valid access token', async () => {
+            assert.equal((await server.api('GET', `/api/messages/${conversationId}`)).status, 401);
+            assert.equal((await server.api('GET', `/api/messages/${conversationId}`, undefined, 'forged')).status, 401);
+        });
+    });
+
+    describe('WebSocket', () => {
+        it('refuses posting into chats the user is not in', async () => {
+            const socket = await server.connect(mallory.token);
+            for (const event of [
+                { type: 'message', conversationId, content: 'hi' },
+                { type: 'group_message', groupId, content: 'hi' },
+                { type: 'channel_message', channelId, content: 'hi' }
+            ]) {
+                socket.send(event);
+                const error = await socket.next('error');
+                assert.equal(error.status, 403, event.type);
+            }
+            socket.close();
+        });
+
+        it('refuses typing in chats the user is not in', async () => {
+            const socket = await server.connect(mallory.token);
+            socket.send({ type: 'typing', conversationId, isTyping: true });
+            assert.equal((await socket.next('error')).status, 403);
+            socket.send({ type: 'typing', groupId, isTyping: true });
+            assert.equal((await socket.next('error')).status, 403);
+            socket.close();
+        });
+
+        it('refuses read receipts and reactions in chats the user is not in', async () => {
+            const socket = await server.connect(mallory.token);
+            socket.send({ type: 'read', conversationId, messageId: 'any' });
+            assert.equal((await socket.next('error')).status, 403);
+            socket.send({ type: 'add_reaction', groupId, messageId: 'any', emoji: '👍' });
+            assert.equal((await socket.next('error')).status, 403);
+            socket.close();
+        });
+
+        it('delivers to members once they pass the checks', async () => {
+            const receiver = await server.connect(bob.token);
+            const sender = await server.connect(alice.token);
+            sender.send({ type: 'message', conversationId, content: 'hello bob' });
+            assert.equal((await receiver.next('new_message')).message.content, 'hello bob');
+            receiver.close();
+            sender.close();
+        });
+    });
+});
@@ -0,0 +1,70 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { createRedisBus, createRespReader, encodeResp } = require('../pubsub');
+const { createStandInServer } = require('../pubsubStandIn');
+
+// The Redis-protocol bus against pubsubStandIn.js, reached through a proxy
+// that can slip a corrupt frame to the bus
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+describe('RESP reader', () => {
+    it('returns replies once they are complete', () => {
+        const reader = createRespReader();
+        const frame = Buffer.from(encodeResp(['message', 'news', 'hello']));
+        assert.deepEqual(reader.push(frame.subarray(0, 10)), []);
+        assert.deepEqual(reader.push(frame.subarray(10)), [['message', 'news', 'hello']]);
+    });
+
+    it('throws on a malformed reply', () => {
+        assert.throws(() => createRespReader().push(Buffer.from('?what\r\n')), /Malformed RESP reply/);
+        assert.throws(() => createRespReader().push(Buffer.from('$many\r\n')), /Malformed RESP reply/);
+    });
+});
+
+describe('Redis bus', { timeout: 10000 }, () => {
+    const clients = new Set();
+    let standIn;
+    let proxy;
+    let bus;
+
+    before(async () => {
+        standIn = createStandInServer();
+        const standInPort = await listen(standIn);
+        proxy = net.createServer((client) => {
+            const upstream = net.createConnection({ host: '127.0.0.1', port: standInPort });
+            client.pipe(upstream).pipe(client);
+            client.on('error', () => { });
+            upstream.on('error', () => { });
+            client.on('close', () => upstream.destroy());
+            upstream.on('close', () => client.destroy());
+            clients.add(client);
+            client.on('close', () => clients.delete(client));
+        });
+        bus = createRedisBus(`redis://127.0.0.1:${await listen(proxy)}`);
+    });
+
+    after(async () => {
+        await bus.close();
+        clients.forEach(client => client.destroy());
+        await new Promise(resolve => proxy.close(resolve));
+        await new Promise(resolve => standIn.close(resolve));
+    });
+
+    it('reconnects after a malformed frame instead of crashing', async () => {
+        const received = [];
+        await bus.subscribe('news', message => received.push(message));
+
+        clients.forEach(client => client.write('?corrupt\r\n'));
+
+        // Publishes keep going until one arrives over the new connections
+        for (let i = 0; i < 50 && !received.includes('after'); i++) {
+            bus.publish('news', 'after');
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        assert.ok(received.includes('after'));
+    });
+});
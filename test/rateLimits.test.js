@@ -0,0 +1,126 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./server');
+
+// rateLimits.js reads its limits from the environment once, when loaded, and
+// keeps the login lockout in the database: both are set up before requiring it
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'messenger-test-'));
+process.on('exit', () => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+Object.assign(process.env, {
+    DATABASE_URL: `sqlite:${path.join(tmpDir, 'messenger.db')}`,
+    RATE_LIMIT_TYPING: '2/0.2', // a token every 100 ms
+    RATE_LIMIT_CALL_OFFER: 'off',
+    LOGIN_LOCKOUT_THRESHOLD: '3',
+    LOGIN_LOCKOUT_BASE: '30',
+    LOGIN_LOCKOUT_MAX: '90'
+});
+const { db, dbHelpers, initDatabase } = require('../database');
+const rateLimits = require('../rateLimits');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('token buckets', () => {
+    it('refuses once a bucket is empty and refills over time', async () => {
+        rateLimits.consume('typing', 'refill');
+        rateLimits.consume('typing', 'refill');
+        assert.throws(() => rateLimits.consume('typing', 'refill'), (error) => {
+            assert.equal(error.status, 429);
+            assert.equal(error.retryAfter, 1);
+            return true;
+        });
+
+        await sleep(120);
+        rateLimits.consume('typing', 'refill');
+        assert.throws(() => rateLimits.consume('typing', 'refill'), { status: 429 });
+    });
+
+    it('keeps one bucket per key', () => {
+        rateLimits.consume('typing', 'first');
+        rateLimits.consume('typing', 'first');
+        assert.throws(() => rateLimits.consume('typing', 'first'), { status: 429 });
+        rateLimits.consume('typing', 'second');
+    });
+
+    it('never refuses a limit that is switched off', () => {
+        for (let i = 0; i < 100; i++) rateLimits.consume('call_offer', 'caller');
+    });
+});
+
+describe('login lockout', () => {
+    let userId;
+    const user = () => dbHelpers.getUserByEmail('locked@example.com');
+    const lockSeconds = async () => Math.round((Date.parse((await user()).locked_until) - Date.now()) / 1000);
+
+    before(async () => {
+        await initDatabase();
+        userId = (await dbHelpers.createUser('locked', 'locked@example.com', 'secret')).id;
+    });
+
+    after(() => db.close());
+
+    it('locks the account after LOGIN_LOCKOUT_THRESHOLD failures, doubling up to LOGIN_LOCKOUT_MAX', async () => {
+        await rateLimits.recordLoginFailure(await user());
+        await rateLimits.recordLoginFailure(await user());
+        assert.equal((await user()).locked_until, null);
+        rateLimits.checkLoginLock(await user());
+
+        await rateLimits.recordLoginFailure(await user());
+        assert.equal(await lockSeconds(), 30);
+        const locked = await user();
+        assert.throws(() => rateLimits.checkLoginLock(locked), { status: 429, retryAfter: 30 });
+
+        await rateLimits.recordLoginFailure(await user());
+        assert.equal(await lockSeconds(), 60);
+        await rateLimits.recordLoginFailure(await user());
+        assert.equal(await lockSeconds(), 90);
+    });
+
+    it('clears failures and the lock on a successful login', async () => {
+        await rateLimits.recordLoginSuccess(await user());
+        const row = await user();
+        assert.equal(row.failed_logins, 0);
+        assert.equal(row.locked_until, null);
+        assert.equal(row.id, userId);
+        rateLimits.checkLoginLock(row);
+    });
+});
+
+describe('limits over the wire', () => {
+    let server;
+    let alice;
+
+    before(async () => {
+        server = await startServer({ RATE_LIMIT_MESSAGE: '2/60', RATE_LIMIT_TYPING: '1/60' });
+        alice = await server.register('alice');
+    });
+
+    after(() => server.stop());
+
+    it('answers REST requests over the limit with 429 and Retry-After', async () => {
+        const groupId = (await server.api('POST', '/api/groups', { name: 'Team' }, alice.token)).body.group.id;
+        const post = () => server.api('POST', `/api/groups/${groupId}/messages`, { content: 'hi' }, alice.token);
+        assert.equal((await post()).status, 200);
+        assert.equal((await post()).status, 200);
+
+        const refused = await post();
+        assert.equal(refused.status, 429);
+        assert.equal(refused.headers.get('retry-after'), '30');
+        assert.equal(refused.body.retryAfter, 30);
+    });
+
+    it('answers WebSocket events over the limit with a 429 error frame', async () => {
+        const socket = await server.connect(alice.token);
+        const groupId = (await server.api('POST', '/api/groups', { name: 'Typing' }, alice.token)).body.group.id;
+        socket.send({ type: 'typing', groupId, isTyping: true });
+        socket.send({ type: 'typing', groupId, isTyping: true });
+        const error = await socket.next('error');
+        assert.equal(error.status, 429);
+        assert.equal(error.retryAfter, 60);
+        socket.close();
+    });
+});
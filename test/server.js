@@ -0,0 +1,148 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+// A server process of its own on a scratch SQLite database, for tests that go
+// through the REST routes and WebSocket events like a client would. `env`
+// adds to or overrides the defaults, e.g. to set RATE_LIMIT_* variables.
+
+const STARTUP_TIMEOUT = 15000;
+const EVENT_TIMEOUT = 2000;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+async function startServer(env = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'messenger-server-'));
+    const port = await freePort();
+    const child = spawn(process.execPath, ['index.js'], {
+        cwd: path.join(__dirname, '..'),
+        env: {
+            ...process.env,
+            PORT: String(port),
+            DATABASE_URL: `sqlite:${path.join(dir, 'messenger.db')}`,
+            UPLOAD_DIR: path.join(dir, 'uploads'),
+            JWT_SECRET: 'test-secret',
+            PUBSUB_URL: '',
+            RATE_LIMIT_REGISTER: 'off',
+            RATE_LIMIT_LOGIN: 'off',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), STARTUP_TIMEOUT);
+        const collect = (chunk) => {
+            output += chunk;
+            if (output.includes('Server Running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+        child.stdout.on('data', collect);
+        child.stderr.on('data', collect);
+        child.on('exit', () => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited:\n${output}`));
+        });
+    });
+    child.removeAllListeners('exit');
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+    const sockets = new Set();
+
+    // { status, body } of a JSON request
+    async function api(method, route, body, token, headers = {}) {
+        const response = await fetch(baseUrl + route, {
+            method,
+            headers: {
+                'content-type': 'application/json',
+                ...(token ? { authorization: `Bearer ${token}` } : {}),
+                ...headers
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        let json = text;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            // Not JSON, keep the text
+        }
+        return { status: response.status, headers: response.headers, body: json };
+    }
+
+    // A registered and logged in user: { id, token, refreshToken, sessionId }
+    async function register(name) {
+        const credentials = { email: `${name}@example.com`, password: 'secret-password' };
+        await api('POST', '/api/register', { username: name, ...credentials });
+        const { body } = await api('POST', '/api/login', credentials);
+        return { id: body.user.id, token: body.accessToken, refreshToken: body.refreshToken, sessionId: body.sessionId };
+    }
+
+    // An authenticated WebSocket. send(event) sends a client event, next(type)
+    // waits for the next server event of that type.
+    function connect(token) {
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(`ws://127.0.0.1:${port}`);
+            const received = [];
+            const waiters = [];
+            sockets.add(ws);
+
+            ws.on('message', (data) => {
+                const event = JSON.parse(data);
+                const waiter = waiters.find(w => w.type === event.type);
+                if (waiter) {
+                    waiters.splice(waiters.indexOf(waiter), 1);
+                    clearTimeout(waiter.timer);
+                    waiter.resolve(event);
+                } else {
+                    received.push(event);
+                }
+                if (event.type === 'auth_success') resolve(client);
+                if (event.type === 'auth_error') reject(new Error(event.error));
+            });
+            ws.on('error', reject);
+            ws.on('open', () => ws.send(JSON.stringify({ type: 'auth', token })));
+
+            const client = {
+                send: event => ws.send(JSON.stringify(event)),
+                next: type => new Promise((resolveEvent, rejectEvent) => {
+                    const index = received.findIndex(event => event.type === type);
+                    if (index !== -1) return resolveEvent(received.splice(index, 1)[0]);
+                    const timer = setTimeout(() => rejectEvent(new Error(`No ${type} event`)), EVENT_TIMEOUT);
+                    waiters.push({ type, resolve: resolveEvent, timer });
+                }),
+                close: () => ws.close()
+            };
+        });
+    }
+
+    async function stop() {
+        sockets.forEach(ws => ws.terminate());
+        if (child.exitCode === null) {
+            await new Promise((resolve) => {
+                child.on('exit', resolve);
+                child.kill();
+            });
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    return { api, register, connect, stop };
+}
+
+module.exports = { startServer };
@@ -1,159 +1,310 @@
 const WebSocket = require('ws');
 const { dbHelpers } = require('./database');
+const { authenticate } = require('./auth');
+const { badRequest } = require('./errors');
+const {
+    assertConversationParticipant,
+    assertGroupRole,
+    assertChannelRole
+} = require('./permissions');
+const {
+    addConnection,
+    removeConnection,
+    isUserOnline,
+    sendToUser,
+    publishEvent,
+    resolveChat,
+    getChatMemberIds
+} = require('./realtime');
+const messageActions = require('./messages');
+const callActions = require('./calls');
+const rooms = require('./rooms');
+const presence = require('./presence');
+const rateLimits = require('./rateLimits');
 
-// Store active connections
-const connections = new Map(); // Map<userId, WebSocket>
+const SYNC_BATCH_SIZE = 500;
+
+// Larger frames close the socket with code 1009
+const MAX_PAYLOAD = parseInt(process.env.WS_MAX_PAYLOAD, 10) || 64 * 1024;
+
+// Client events that are rate limited, with the limit each one counts against
+const EVENT_LIMITS = {
+    message: 'message',
+    group_message: 'message',
+    channel_message: 'message',
+    typing: 'typing',
+    call_offer: 'call_offer'
+};
+
+// Replay every logged event after `sinceSeq` to one socket, in order. Live
+// events may interleave with the replay; clients drop anything whose seq they
+// have already applied, so replaying is idempotent.
+async function replayEvents(ws, userId, sinceSeq) {
+    let cursor = sinceSeq;
+    for (;;) {
+        const events = await dbHelpers.getEventsSince(userId, cursor, SYNC_BATCH_SIZE);
+        events.forEach(event => ws.send(JSON.stringify({ ...event, replay: true })));
+        if (events.length > 0) cursor = events[events.length - 1].seq;
+        if (events.length < SYNC_BATCH_SIZE) break;
+    }
+    ws.send(JSON.stringify({ type: 'sync_complete', lastSeq: cursor }));
+}
+
+function parseMessage(data) {
+    try {
+        return JSON.parse(data);
+    } catch (error) {
+        throw badRequest('Invalid JSON');
+    }
+}
+
+// Message fields of a client 'message'/'group_message'/'channel_message' event
+function wsMessageFields(message) {
+    return {
+        content: message.content,
+        type: message.messageType,
+        replyTo: message.replyTo,
+        threadRoot: message.threadRoot,
+        attachmentId: message.attachmentId
+    };
+}
 
 function setupWebSocket(server) {
-    const wss = new WebSocket.Server({ server });
+    const wss = new WebSocket.Server({ server, maxPayload: MAX_PAYLOAD });
 
     wss.on('connection', (ws) => {
         let userId = null;
 
         ws.on('message', async (data) => {
             try {
-                const message = JSON.parse(data);
+                const message = parseMessage(data);
+
+                // Nothing but the handshake is accepted before authentication
+                if (!userId && message.type !== 'auth') {
+                    ws.send(JSON.stringify({ type: 'error', error: 'Not authenticated' }));
+                    return;
+                }
+
+                if (EVENT_LIMITS[message.type]) {
+                    rateLimits.consume(EVENT_LIMITS[message.type], userId);
+                }
 
                 switch (message.type) {
                     case 'auth':
-                        // Authenticate and store connection
-                        userId = message.userId;
-                        connections.set(userId, ws);
-                        await dbHelpers.updateUserStatus(userId, 'online');
+                        // Authenticate with the access token and store connection
+                        if (userId) break;
+                        const authUser = await authenticate(message.token, 'access');
+                        if (!authUser) {
+                            ws.send(JSON.stringify({ type: 'auth_error', error: 'Invalid token' }));
+                            break;
+                        }
+
+                        userId = authUser.id;
+                        ws.sessionId = authUser.sessionId;
+                        const wasOnline = isUserOnline(userId);
+                        addConnection(userId, ws);
+                        await dbHelpers.touchSession(ws.sessionId);
+
+                        // Only the first session on any instance brings the user online
+                        if (!wasOnline) {
+                            await presence.setStatus(userId, 'online');
+                        }
 
-                        // Notify all users about online status
-                        broadcastStatus(userId, 'online');
+                        ws.send(JSON.stringify({
+                            type: 'auth_success',
+                            sessionId: ws.sessionId,
+                            lastSeq: await dbHelpers.getLatestEventSeq()
+                        }));
 
-                        ws.send(JSON.stringify({ type: 'auth_success' }));
+                        // Catch up on everything missed since the client's last seen event
+                        const sinceSeq = parseInt(message.lastSeq, 10);
+                        if (sinceSeq >= 0) {
+                            await replayEvents(ws, userId, sinceSeq);
+                        }
                         break;
 
                     case 'message':
-                        // Handle new message
-                        const newMessage = await dbHelpers.createMessage(
-                            message.conversationId,
-                            message.senderId,
-                            message.content,
-                            message.messageType || 'text'
+                        // Handle new message, optionally a reply or thread reply
+                        await assertConversationParticipant(userId, message.conversationId);
+                        await messageActions.postMessage(
+                            userId,
+                            { chatType: 'conversation', chatId: message.conversationId },
+                            wsMessageFields(message)
                         );
+                        break;
 
-                        // Get conversation participants
-                        const participants = await dbHelpers.getConversationParticipants(message.conversationId);
-
-                        // Get sender info
-                        const sender = await dbHelpers.getUserById(message.senderId);
-
-                        // Send message to all participants
-                        participants.forEach(participantId => {
-                            const participantWs = connections.get(participantId);
-                            if (participantWs && participantWs.readyState === WebSocket.OPEN) {
-                                participantWs.send(JSON.stringify({
-                                    type: 'new_message',
-                                    message: {
-                                        ...newMessage,
-                                        sender_username: sender.username
-                                    }
-                                }));
-                            }
-                        });
+                    case 'group_message':
+                        // Any group member may post
+                        await assertGroupRole(userId, message.groupId);
+                        await messageActions.postMessage(
+                            userId,
+                            { chatType: 'group', chatId: message.groupId },
+                            wsMessageFields(message)
+                        );
+                        break;
+
+                    case 'channel_message':
+                        // Admins post, any subscriber may reply in a thread
+                        await assertChannelRole(userId, message.channelId);
+                        await messageActions.postMessage(
+                            userId,
+                            { chatType: 'channel', chatId: message.channelId },
+                            wsMessageFields(message)
+                        );
                         break;
 
                     case 'typing':
-                        // Handle typing indicator
-                        const typingParticipants = await dbHelpers.getConversationParticipants(message.conversationId);
-                        typingParticipants.forEach(participantId => {
-                            if (participantId !== message.userId) {
-                                const participantWs = connections.get(participantId);
-                                if (participantWs && participantWs.readyState === WebSocket.OPEN) {
-                                    participantWs.send(JSON.stringify({
-                                        type: 'typing',
-                                        conversationId: message.conversationId,
-                                        userId: message.userId,
-                                        isTyping: message.isTyping
-                                    }));
-                                }
+                        // Handle typing indicator in a conversation or a group
+                        let typingUserIds;
+                        if (message.groupId) {
+                            await assertGroupRole(userId, message.groupId);
+                            typingUserIds = await dbHelpers.getGroupMemberIds(message.groupId);
+                        } else {
+                            await assertConversationParticipant(userId, message.conversationId);
+                            typingUserIds = await dbHelpers.getConversationParticipants(message.conversationId);
+                        }
+
+                        typingUserIds.forEach(participantId => {
+                            if (participantId !== userId) {
+                                sendToUser(participantId, {
+                                    type: 'typing',
+                                    conversationId: message.conversationId,
+                                    groupId: message.groupId,
+                                    userId: userId,
+                                    isTyping: message.isTyping
+                                });
                             }
                         });
                         break;
 
-                    // WebRTC Signaling
+                    case 'edit_message':
+                        // Edit one of the user's own messages
+                        const editChat = await resolveChat(userId, message);
+                        await messageActions.editMessage(userId, editChat, message.messageId, message.content);
+                        break;
+
+                    case 'delete_message':
+                        // Delete for me or for everyone
+                        const deleteChat = await resolveChat(userId, message);
+                        await messageActions.deleteMessage(userId, deleteChat, message.messageId, message.scope);
+                        break;
+
+                    case 'add_reaction':
+                    case 'remove_reaction':
+                        // React to a message or take a reaction back
+                        const reactionChat = await resolveChat(userId, message);
+                        await messageActions.setReaction(
+                            userId,
+                            reactionChat,
+                            message.messageId,
+                            message.emoji,
+                            message.type === 'add_reaction'
+                        );
+                        break;
+
+                    case 'delivered':
+                    case 'read':
+                        // Move the user's delivery/read marker forward
+                        const chat = await resolveChat(userId, message);
+                        const marker = await dbHelpers.markChat(
+                            chat.chatType,
+                            chat.chatId,
+                            userId,
+                            message.type,
+                            message.messageId
+                        );
+                        if (!marker) break;
+
+                        // Conversation and group members see receipts; in channels
+                        // only the reader's own devices hear about it
+                        const receiptRecipients = chat.chatType === 'channel'
+                            ? [userId]
+                            : await getChatMemberIds(chat.chatType, chat.chatId);
+                        await publishEvent(
+                            chat.chatType === 'channel' ? 'user' : chat.chatType,
+                            chat.chatType === 'channel' ? userId : chat.chatId,
+                            receiptRecipients,
+                            'receipt',
+                            {
+                                chatType: chat.chatType,
+                                chatId: chat.chatId,
+                                userId,
+                                kind: message.type,
+                                messageId: marker.messageId,
+                                upTo: marker.upTo
+                            }
+                        );
+                        break;
+
+                    // WebRTC signaling for one-to-one calls, see calls.js
                     case 'call_offer':
-                        // Forward call offer to target user
-                        const targetWs = connections.get(message.targetUserId);
-                        if (targetWs && targetWs.readyState === WebSocket.OPEN) {
-                            targetWs.send(JSON.stringify({
-                                type: 'call_offer',
-                                offer: message.offer,
-                                callerId: message.callerId,
-                                callerName: message.callerName,
-                                conversationId: message.conversationId,
-                                isVideo: message.isVideo
-                            }));
-                        } else {
-                            // User offline
-                            ws.send(JSON.stringify({
-                                type: 'call_error',
-                                error: 'User is offline'
-                            }));
-                        }
+                        await callActions.startCall(ws.client, userId, message);
                         break;
 
                     case 'call_answer':
-                        // Forward call answer
-                        const callerWs = connections.get(message.callerId);
-                        if (callerWs && callerWs.readyState === WebSocket.OPEN) {
-                            callerWs.send(JSON.stringify({
-                                type: 'call_answer',
-                                answer: message.answer,
-                                answererId: message.answererId
-                            }));
-                        }
+                        await callActions.answerCall(ws.client, userId, message);
                         break;
 
                     case 'ice_candidate':
-                        // Forward ICE candidate
-                        const peerWs = connections.get(message.targetUserId);
-                        if (peerWs && peerWs.readyState === WebSocket.OPEN) {
-                            peerWs.send(JSON.stringify({
-                                type: 'ice_candidate',
-                                candidate: message.candidate,
-                                fromUserId: message.fromUserId
-                            }));
-                        }
+                        callActions.relayIceCandidate(userId, message);
                         break;
 
                     case 'call_end':
-                        // Notify about call end
-                        const endTargetWs = connections.get(message.targetUserId);
-                        if (endTargetWs && endTargetWs.readyState === WebSocket.OPEN) {
-                            endTargetWs.send(JSON.stringify({
-                                type: 'call_ended',
-                                fromUserId: message.fromUserId
-                            }));
-                        }
+                        await callActions.endCall(ws.client, userId, message);
                         break;
 
                     case 'call_reject':
-                        // Notify about call rejection
-                        const rejectCallerWs = connections.get(message.callerId);
-                        if (rejectCallerWs && rejectCallerWs.readyState === WebSocket.OPEN) {
-                            rejectCallerWs.send(JSON.stringify({
-                                type: 'call_rejected',
-                                rejecterId: message.rejecterId
-                            }));
-                        }
+                        await callActions.rejectCall(ws.client, userId, message);
+                        break;
+
+                    // Group call rooms keyed on a groupId or conversationId, see rooms.js
+                    case 'room_join':
+                        await rooms.joinRoom(ws.client, userId, message);
+                        break;
+
+                    case 'room_leave':
+                        await rooms.leaveRoom(userId);
+                        break;
+
+                    case 'room_offer':
+                    case 'room_answer':
+                    case 'room_ice_candidate':
+                        rooms.relaySignal(userId, message);
+                        break;
+
+                    case 'room_media':
+                        rooms.updateMedia(userId, message);
                         break;
                 }
             } catch (error) {
-                console.error('WebSocket message error:', error);
-                ws.send(JSON.stringify({ type: 'error', error: error.message }));
+                // Refused requests only go back to the client, unexpected failures are also logged
+                if (!error.status || error.status >= 500) {
+                    console.error('WebSocket message error:', error);
+                }
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    error: error.message,
+                    status: error.status || 500,
+                    retryAfter: error.retryAfter
+                }));
             }
         });
 
         ws.on('close', async () => {
-            if (userId) {
-                connections.delete(userId);
-                await dbHelpers.updateUserStatus(userId, 'offline');
-                broadcastStatus(userId, 'offline');
+            if (!userId) return;
+
+            // The socket is forgotten first, so a failure below cannot leave it registered
+            const wentOffline = removeConnection(userId, ws);
+            try {
+                await rooms.handleSocketClose(userId, ws.client);
+
+                // Presence only goes offline when the user's last session on any instance closes
+                if (wentOffline) {
+                    await callActions.handleDisconnect(userId);
+                    await presence.setStatus(userId, 'offline');
+                }
+            } catch (error) {
+                console.error('WebSocket close error:', error);
             }
         });
 
@@ -162,18 +313,6 @@ function setupWebSocket(server) {
         });
     });
 
-    function broadcastStatus(userId, status) {
-        connections.forEach((ws, id) => {
-            if (id !== userId && ws.readyState === WebSocket.OPEN) {
-                ws.send(JSON.stringify({
-                    type: 'user_status',
-                    userId: userId,
-                    status: status
-                }));
-            }
-        });
-    }
-
     return wss;
 }
 